@@ -1,33 +1,207 @@
-// Array to store quotes - will be loaded from localStorage
+// Array to store quotes - will be loaded from IndexedDB
 let quotes = [];
 
-// Track currently displayed quote index to avoid repetition
-let lastQuoteIndex = -1;
+// IndexedDB configuration
+const DB_NAME = 'dynamicQuotesDB';
+const QUOTES_STORE = 'quotes';
+const SETTINGS_STORE = 'settings';
+const SNAPSHOTS_STORE = 'snapshots';
+let db = null;
 
-// Local Storage Keys
+// Settings are cached in memory so they can be read synchronously
+const settingsCache = new Map();
+
+// Stored sort position of each quote, so single-quote writes keep the order
+const quotePositions = new Map();
+let nextQuotePosition = 0;
+
+// Settings Keys (stored in IndexedDB; the same names were used in localStorage
+// before the move, so they double as the legacy keys to migrate)
 const QUOTES_STORAGE_KEY = 'dynamicQuotesApp';
+const QUOTES_INITIALIZED_KEY = 'quotesInitialized';
+// All settings, kept together in localStorage when there is no database
+const SETTINGS_STORAGE_KEY = 'dynamicQuotesSettings';
+const LEGACY_MIGRATED_KEY = 'legacyStorageMigrated';
 const LAST_CATEGORY_KEY = 'lastSelectedCategory';
+const ACTIVE_FILTER_KEY = 'activeFilter';
+const FILTER_PRESETS_KEY = 'filterPresets';
+const HISTORY_KEY = 'quoteHistory';
+const ROTATION_STRATEGY_KEY = 'rotationStrategy';
+const ROTATION_STATE_KEY = 'rotationState';
+const QOTD_CONFIG_KEY = 'quoteOfTheDayConfig';
+const QOTD_HISTORY_KEY = 'quoteOfTheDayHistory';
+const SLIDESHOW_CONFIG_KEY = 'slideshowConfig';
 const SERVER_QUOTES_KEY = 'serverQuotes';
 const LAST_SYNC_TIME_KEY = 'lastSyncTime';
 const AUTO_SYNC_ENABLED_KEY = 'autoSyncEnabled';
+const SYNC_CONFIG_KEY = 'syncConfig';
+const SYNC_CURSOR_KEY = 'syncCursor';
+const OUTBOX_KEY = 'syncOutbox';
+const SYNC_LOG_KEY = 'syncLog';
+const SYNC_PROTOCOL_KEY = 'syncProtocol';
+const CRDT_STATE_KEY = 'quoteCrdt';
+const CRDT_REPLICA_KEY = 'crdtReplicaId';
+const QUOTE_SOURCES_KEY = 'quoteSources';
+const QUOTE_SOURCE_HANDLES_KEY = 'quoteSourceFileHandles';
+
+// Local Storage Keys
+const MOCK_SERVER_KEY = 'mockSyncServer';
 
 // Session Storage Keys
 const LAST_QUOTE_KEY = 'lastViewedQuote';
 const SESSION_START_KEY = 'sessionStartTime';
 
-// Server configuration
-const SERVER_URL = 'https://jsonplaceholder.typicode.com/posts';
-let autoSyncInterval = null;
-const SYNC_INTERVAL = 30000; // 30 seconds
+// Server configuration - adapter and endpoint are chosen in the sync section
+const DEFAULT_SYNC_CONFIG = {
+  adapter: 'mock',
+  endpoint: '',
+  mockLatency: 300,
+  mockErrorRate: 0,
+  mockConcurrentEdits: false,
+  mockCrdt: true,
+  syncInterval: 30 // seconds
+};
+let syncConfig = { ...DEFAULT_SYNC_CONFIG };
+let syncAdapter = null;
+
+// Sync scheduler: interval choices in seconds; quiet or failing runs double
+// the wait up to 2^SYNC_MAX_BACKOFF_LEVEL times the interval
+const SYNC_INTERVAL_OPTIONS = [15, 30, 60, 300, 900];
+const SYNC_MAX_BACKOFF_LEVEL = 3;
+const SYNC_AFTER_CHANGE_DELAY = 3000; // 3 seconds
+let autoSyncEnabled = false;
+let autoSyncTimer = null;
+let nextAutoSyncAt = null;
+let autoSyncPausedBy = null;
+let syncBackoffLevel = 0;
+let syncInFlight = null;
+let syncAbortController = null;
+
+// Outbox of local changes waiting to be sent to the server
+let outbox = [];
+let outboxFlushPromise = null;
+let outboxInFlightOpId = null;
+let outboxRetryTimer = null;
+let outboxRetryAttempt = 0;
+const OUTBOX_BASE_RETRY_DELAY = 2000; // 2 seconds
+const OUTBOX_MAX_RETRY_DELAY = 300000; // 5 minutes
 let pendingConflicts = null;
 
+// Sync log: how many runs are kept
+const SYNC_LOG_LIMIT = 100;
+
+// Multi-tab coordination: open tabs tell each other about changes, and one
+// of them (the sync leader, holding a lease in localStorage) syncs for all
+const TAB_CHANNEL_NAME = 'dynamicQuotesTabs';
+const TAB_MESSAGE_KEY = 'dynamicQuotesTabMessage';
+const SYNC_LEADER_KEY = 'dynamicQuotesSyncLeader';
+const LEADER_HEARTBEAT_INTERVAL = 5000; // 5 seconds
+const LEADER_LEASE_DURATION = 20000; // 20 seconds
+let tabId = null;
+let tabChannel = null;
+let isSyncLeader = false;
+let applyingTabMessage = false;
+let quotesBroadcastTimer = null;
+let quotesBroadcastQuiet = true;
+
+// Quote fields compared and merged field-by-field during sync
+const QUOTE_SYNC_FIELDS = ['text', 'category', 'tags', 'author', 'source', 'year', 'weight', 'favorite', 'rating'];
+
+// View statistics belong to this device: not synced and not undone
+const VIEW_STAT_FIELDS = ['views', 'lastShownAt'];
+
+// Active quote filter - see createEmptyFilter() for its shape
+let activeFilter = null;
+
+// Limits for free-form tags
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_QUOTE = 10;
+
+// Limits for the optional author, source and year of a quote
+const MAX_AUTHOR_LENGTH = 100;
+const MAX_SOURCE_LENGTH = 300;
+const MIN_QUOTE_YEAR = -3000;
+
+// Star ratings, and how many quotes each statistics list shows
+const MIN_QUOTE_RATING = 1;
+const MAX_QUOTE_RATING = 5;
+const STATS_LIST_LIMIT = 5;
+
+// Quotes at least this alike (0-1) are flagged as likely duplicates; texts
+// shorter than the minimum only match exactly
+const DUPLICATE_SIMILARITY = 0.85;
+const FUZZY_MATCH_MIN_LENGTH = 12;
+
+// Quote sources: how often feeds are fetched and watched files checked, and
+// how many item keys each source remembers so deleted quotes stay deleted
+const FEED_REFRESH_INTERVAL = 900000; // 15 minutes
+const FILE_WATCH_INTERVAL = 5000; // 5 seconds
+const SOURCE_SEEN_LIMIT = 1000;
+const refreshingSources = new Set();
+let pendingSourceFile = null;
+
+// Quote rotation: how "Show New Quote" picks the next quote
+const ROTATION_STRATEGIES = {
+  random: 'Random',
+  shuffle: 'Shuffle (no repeats)',
+  sequential: 'In order',
+  weighted: 'Weighted random',
+  'least-recent': 'Least recently shown'
+};
+const ROTATION_FILTER_LIMIT = 20;
+const MIN_QUOTE_WEIGHT = 1;
+const MAX_QUOTE_WEIGHT = 10;
+// Favorites come up this many times as often in weighted rotation
+const FAVORITE_WEIGHT_MULTIPLIER = 3;
+
+// Ways a newly displayed quote can appear
+const QUOTE_TRANSITIONS = {
+  fade: 'Fade',
+  slide: 'Slide',
+  zoom: 'Zoom',
+  none: 'None'
+};
+
+// Slideshow: interval choices in seconds, and the running show's state
+const SLIDESHOW_INTERVALS = [5, 10, 15, 30, 60];
+const DEFAULT_SLIDESHOW_CONFIG = { interval: 10, transition: 'fade' };
+let slideshow = null;
+
+// Quote of the Day: how many days can be browsed back
+const QOTD_HISTORY_DAYS = 7;
+let qotdOffset = 0;
+
+// Snapshots: how many event snapshots per reason and days of daily ones to keep
+const SNAPSHOT_LIMIT = 10;
+const DAILY_SNAPSHOT_DAYS = 7;
+const SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Undo/redo history of quote changes, newest last
+const HISTORY_LIMIT = 50;
+let quoteHistory = { undo: [], redo: [] };
+let historyApplying = false;
+
+// Browse list: page size and current view state
+const QUOTE_LIST_PAGE_SIZE = 10;
+let quoteListPage = 0;
+let quoteListSort = 'added-desc';
+
+// Full-text search: indexed fields and how much a match in each counts
+const SEARCH_FIELD_WEIGHTS = { text: 1, category: 2, author: 2, source: 1, tags: 2 };
+const SEARCH_RESULT_LIMIT = 50;
+let searchDebounceTimer = null;
+
 /**
  * Initialize the application
  * Loads data from storage and sets up the UI
  */
-function init() {
-  // Load quotes from localStorage
-  loadQuotes();
+async function init() {
+  // Open the database and load quotes from it
+  await initStorage();
+  await loadQuotes();
+  
+  // Build the search index over the loaded quotes
+  syncSearchIndex();
   
   // Initialize session storage
   initSessionStorage();
@@ -35,28 +209,82 @@ function init() {
   // Create the add quote form
   createAddQuoteForm();
   
-  // Populate category filter with stored categories
-  populateCategories();
+  // Restore the undo/redo history and rotation strategy
+  loadHistory();
+  renderRotationStrategies();
+  
+  // Restore the last active filter and its saved presets
+  restoreActiveFilter();
+  renderFilterPresets();
   
-  // Restore last selected category filter
-  restoreLastSelectedCategory();
+  // Populate the filter bar with stored categories and tags
+  populateCategories();
+  updateFilteredStats();
   
   // Update statistics
   updateStats();
   
+  // Render the quote management list
+  renderQuoteList();
+  
+  // Show the Quote of the Day
+  initQuoteOfTheDay();
+  
+  // Slideshow controls
+  document.getElementById('slideshowPrev').addEventListener('click', showPreviousSlide);
+  document.getElementById('slideshowPause').addEventListener('click', toggleSlideshowPause);
+  document.getElementById('slideshowNext').addEventListener('click', showNextSlide);
+  document.getElementById('slideshowExit').addEventListener('click', exitSlideshow);
+  document.getElementById('slideshowInterval').addEventListener('change', saveSlideshowConfig);
+  document.getElementById('slideshowTransition').addEventListener('change', saveSlideshowConfig);
+  document.addEventListener('fullscreenchange', handleSlideshowFullscreenChange);
+  
+  // Take today's snapshot if there isn't one yet, and keep checking while open
+  ensureDailySnapshot();
+  setInterval(ensureDailySnapshot, SNAPSHOT_CHECK_INTERVAL);
+  
   // Add event listeners
   document.getElementById('newQuote').addEventListener('click', showRandomQuote);
-  document.getElementById('categoryFilter').addEventListener('change', filterQuotes);
-  document.getElementById('exportQuotes').addEventListener('click', exportToJsonFile);
-  document.getElementById('importFile').addEventListener('change', importFromJsonFile);
-  document.getElementById('syncNow').addEventListener('click', syncWithServer);
+  document.getElementById('rotationStrategy').addEventListener('change', changeRotationStrategy);
+  document.getElementById('startSlideshow').addEventListener('click', startSlideshow);
+  document.getElementById('tagMode').addEventListener('change', changeTagMode);
+  document.getElementById('filterPreset').addEventListener('change', applyFilterPreset);
+  document.getElementById('savePreset').addEventListener('click', saveFilterPreset);
+  document.getElementById('deletePreset').addEventListener('click', deleteFilterPreset);
+  document.getElementById('clearFilter').addEventListener('click', () => setActiveFilter(createEmptyFilter()));
+  document.getElementById('searchInput').addEventListener('input', handleSearchInput);
+  document.getElementById('quoteSort').addEventListener('change', changeQuoteListSort);
+  document.getElementById('prevPage').addEventListener('click', () => changeQuoteListPage(-1));
+  document.getElementById('nextPage').addEventListener('click', () => changeQuoteListPage(1));
+  document.getElementById('deleteShown').addEventListener('click', deleteFilteredQuotes);
+  document.getElementById('findDuplicates').addEventListener('click', openDuplicatesDialog);
+  document.getElementById('closeDuplicates').addEventListener('click', closeDuplicatesDialog);
+  document.getElementById('mergeAllDuplicates').addEventListener('click', mergeAllDuplicateGroups);
+  document.getElementById('exportQuotes').addEventListener('click', exportQuotes);
+  document.getElementById('importFile').addEventListener('change', importFromFile);
+  document.getElementById('downloadImportReport').addEventListener('click', downloadImportReport);
+  document.getElementById('takeSnapshot').addEventListener('click', () => takeSnapshot('Manual snapshot', 'manual'));
+  document.getElementById('restoreSelected').addEventListener('click', restoreSelectedFromSnapshot);
+  document.getElementById('restoreAll').addEventListener('click', () => restoreFromSnapshot(openSnapshot, null));
+  document.getElementById('closeSnapshotDialog').addEventListener('click', closeSnapshotDialog);
+  document.getElementById('undoButton').addEventListener('click', undoLastChange);
+  document.getElementById('redoButton').addEventListener('click', redoLastChange);
+  document.addEventListener('keydown', handleHistoryShortcut);
+  document.getElementById('syncNow').addEventListener('click', () => syncWithServer());
+  document.getElementById('cancelSync').addEventListener('click', cancelSync);
   document.getElementById('toggleAutoSync').addEventListener('click', toggleAutoSync);
+  document.getElementById('reviewConflicts').addEventListener('click', openConflictDialog);
   document.getElementById('resolveConflict').addEventListener('click', () => resolveConflict(true));
   document.getElementById('keepLocal').addEventListener('click', () => resolveConflict(false));
+  document.getElementById('applyConflictResolution').addEventListener('click', applyConflictDialog);
+  document.getElementById('closeConflictDialog').addEventListener('click', closeConflictDialog);
   
   // Initialize sync system
   initializeSyncSystem();
   
+  // Feeds and watched files; checked by the sync leader
+  initQuoteSources();
+  
   // Try to show last viewed quote or a random one
   const lastQuote = restoreLastQuote();
   if (!lastQuote) {
@@ -65,31 +293,40 @@ function init() {
 }
 
 /**
- * Loads quotes from localStorage
- * If no quotes exist, initializes with default quotes
+ * Loads quotes from IndexedDB
+ * If no quotes were ever stored, initializes with default quotes
  */
-function loadQuotes() {
-  const storedQuotes = localStorage.getItem(QUOTES_STORAGE_KEY);
-  
-  if (storedQuotes) {
-    try {
-      quotes = JSON.parse(storedQuotes);
-      console.log('Quotes loaded from localStorage:', quotes.length);
-    } catch (error) {
-      console.error('Error parsing quotes from localStorage:', error);
-      initializeDefaultQuotes();
+async function loadQuotes() {
+  try {
+    const records = await readAllQuoteRecords();
+    
+    if (records.length === 0 && !getSetting(QUOTES_INITIALIZED_KEY)) {
+      await initializeDefaultQuotes();
+      return;
     }
-  } else {
-    initializeDefaultQuotes();
+    
+    quotes = records.map(record => record.quote);
+    quotePositions.clear();
+    records.forEach(record => quotePositions.set(record.id, record.position));
+    nextQuotePosition = records.length > 0 ? records[records.length - 1].position + 1 : 0;
+    console.log('Quotes loaded from IndexedDB:', quotes.length);
+    
+    // Older data was stored without IDs or timestamps - assign them once and persist
+    if (ensureQuoteMetadata(quotes)) {
+      await saveQuotes();
+    }
+  } catch (error) {
+    console.error('Error loading quotes from IndexedDB:', error);
+    await initializeDefaultQuotes();
   }
 }
 
 /**
  * Initializes the app with default quotes
  */
-function initializeDefaultQuotes() {
+async function initializeDefaultQuotes() {
   quotes = [
-    { text: "The only way to do great work is to love what you do.", category: "Motivation" },
+    { text: "The only way to do great work is to love what you do.", category: "Motivation", author: "Steve Jobs", source: "Stanford commencement address", year: 2005 },
     { text: "Innovation distinguishes between a leader and a follower.", category: "Leadership" },
     { text: "Life is what happens when you're busy making other plans.", category: "Life" },
     { text: "The future belongs to those who believe in the beauty of their dreams.", category: "Motivation" },
@@ -100,273 +337,1118 @@ function initializeDefaultQuotes() {
     { text: "Life is 10% what happens to you and 90% how you react to it.", category: "Life" },
     { text: "The best time to plant a tree was 20 years ago. The second best time is now.", category: "Wisdom" }
   ];
-  saveQuotes();
+  ensureQuoteMetadata(quotes);
+  await saveQuotes();
+  setSetting(QUOTES_INITIALIZED_KEY, true);
   console.log('Initialized with default quotes');
 }
 
 /**
- * Saves quotes array to localStorage
- * Called whenever quotes are modified
+ * Generates a unique, stable identifier for a quote
+ * @returns {string} New quote ID
  */
-function saveQuotes() {
-  try {
-    localStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(quotes));
-    console.log('Quotes saved to localStorage');
-  } catch (error) {
-    console.error('Error saving quotes to localStorage:', error);
-    if (error.name === 'QuotaExceededError') {
-      alert('Storage quota exceeded! Unable to save quotes.');
-    }
-  }
+function generateQuoteId() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `q-${Date.now().toString(36)}-${random}`;
 }
 
 /**
- * Initializes session storage with session-specific data
+ * Assigns an ID, creation/modification timestamps and a tag list to every
+ * quote missing one
+ * Quotes that came from the server reuse their server ID so they keep
+ * matching the server copy; duplicated IDs are re-assigned
+ * @param {Array} quoteList - Quotes to check
+ * @returns {boolean} True if any quote was changed
  */
-function initSessionStorage() {
-  // Check if this is a new session
-  if (!sessionStorage.getItem(SESSION_START_KEY)) {
-    sessionStorage.setItem(SESSION_START_KEY, new Date().toISOString());
-    console.log('New session started');
-  }
+function ensureQuoteMetadata(quoteList) {
+  const seenIds = new Set();
+  let changed = false;
   
-  // Log session duration on page visibility change
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      const startTime = new Date(sessionStorage.getItem(SESSION_START_KEY));
-      const duration = Math.floor((new Date() - startTime) / 1000);
-      console.log(`Session duration: ${duration} seconds`);
+  quoteList.forEach(quote => {
+    if (!quote.id || seenIds.has(quote.id)) {
+      const serverId = quote.serverId !== undefined ? `server-${quote.serverId}` : null;
+      quote.id = serverId && !seenIds.has(serverId) ? serverId : generateQuoteId();
+      changed = true;
+    }
+    if (typeof quote.updatedAt !== 'number') {
+      quote.updatedAt = 0;
+      changed = true;
+    }
+    if (typeof quote.createdAt !== 'number') {
+      // Unknown for older quotes; they sort by their stored order instead
+      quote.createdAt = 0;
+      changed = true;
+    }
+    if (!Array.isArray(quote.tags)) {
+      quote.tags = [];
+      changed = true;
     }
+    seenIds.add(quote.id);
   });
+  
+  return changed;
 }
 
 /**
- * Saves the current quote to session storage
+ * Finds a quote by its ID
+ * @param {string} id - Quote ID
+ * @returns {Object|undefined} The matching quote
  */
-function saveLastQuote(quote) {
-  if (quote) {
-    sessionStorage.setItem(LAST_QUOTE_KEY, JSON.stringify(quote));
-  }
+function findQuoteById(id) {
+  return quotes.find(q => q.id === id);
 }
 
+// ============================================
+// INDEXEDDB STORAGE
+// ============================================
+
 /**
- * Restores and displays the last viewed quote from session storage
+ * Schema migrations, one per database version
+ * Each receives the database and the upgrade transaction; append a new
+ * function to move to the next version, never edit an existing one
  */
-function restoreLastQuote() {
-  const lastQuoteData = sessionStorage.getItem(LAST_QUOTE_KEY);
+const DB_MIGRATIONS = [
+  // Version 1: quotes keyed by ID with lookup indexes, plus key-value settings
+  (database) => {
+    const quoteStore = database.createObjectStore(QUOTES_STORE, { keyPath: 'id' });
+    quoteStore.createIndex('position', 'position');
+    quoteStore.createIndex('category', 'quote.category');
+    quoteStore.createIndex('author', 'quote.author');
+    quoteStore.createIndex('tags', 'quote.tags', { multiEntry: true });
+    
+    database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+  },
   
-  if (lastQuoteData) {
-    try {
-      const quote = JSON.parse(lastQuoteData);
-      displayQuote(quote);
-      console.log('Restored last viewed quote from session');
-      return true;
-    } catch (error) {
-      console.error('Error restoring last quote:', error);
-      return false;
+  // Version 2: full copies of the collection for restoring
+  (database) => {
+    const snapshotStore = database.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+    snapshotStore.createIndex('createdAt', 'createdAt');
+  }
+];
+
+/**
+ * Opens the database, running any pending schema migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_MIGRATIONS.length);
+    
+    request.onupgradeneeded = event => {
+      for (let version = event.oldVersion; version < DB_MIGRATIONS.length; version++) {
+        console.log('Migrating database to version', version + 1);
+        DB_MIGRATIONS[version](request.result, request.transaction);
+      }
+    };
+    
+    request.onsuccess = () => {
+      const database = request.result;
+      
+      // Let a newer version of the app in another tab upgrade the schema
+      database.onversionchange = () => {
+        database.close();
+        showNotification('The app was updated in another tab. Please reload this page.');
+      };
+      
+      resolve(database);
+    };
+    
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('Database upgrade blocked by another open tab');
+  });
+}
+
+/**
+ * Runs work inside a transaction and resolves when it commits
+ * @param {Array} storeNames - Object stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction; its return value is resolved
+ * @returns {Promise}
+ */
+function runTransaction(storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    if (!db) {
+      reject(new Error('Database is not available'));
+      return;
     }
+    
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    
+    transaction.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    
+    result = work(transaction);
+  });
+}
+
+/**
+ * Opens the database, loads settings and migrates old localStorage data
+ * Falls back to keeping quotes in localStorage if IndexedDB cannot be used
+ * or the migration fails
+ */
+async function initStorage() {
+  try {
+    db = await openDatabase();
+    
+    const settings = await runTransaction([SETTINGS_STORE], 'readonly', transaction => {
+      const request = transaction.objectStore(SETTINGS_STORE).getAll();
+      return () => request.result;
+    });
+    settings.forEach(({ key, value }) => settingsCache.set(key, value));
+    
+    await migrateLegacyStorage();
+    console.log('Storage initialized');
+  } catch (error) {
+    console.error('Error opening IndexedDB:', error);
+    db = null;
+    loadSettingsFromLocalStorage();
+    showNotification('Database is unavailable - quotes are kept in local storage instead.');
   }
-  return false;
 }
 
 /**
- * Populates the category filter dropdown with unique categories from quotes
- * This is the main function for dynamic category population as per Task 2
+ * Moves data from the old localStorage keys into IndexedDB (runs once)
+ * The old keys are only removed once the stored data has been read back;
+ * a failed write rejects and leaves them in place for the next attempt
  */
-function populateCategories() {
-  const categoryFilter = document.getElementById('categoryFilter');
-  const currentValue = categoryFilter.value;
+async function migrateLegacyStorage() {
+  if (getSetting(LEGACY_MIGRATED_KEY)) {
+    return;
+  }
   
-  // Extract unique categories from quotes array and sort them
-  const categories = [...new Set(quotes.map(q => q.category))].sort();
+  const readJson = key => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      console.error('Error parsing legacy data:', key, error);
+      return null;
+    }
+  };
   
-  // Clear existing options except "All Categories"
-  categoryFilter.innerHTML = '<option value="all">All Categories</option>';
+  // How each legacy string value converts to a stored setting
+  const legacySettings = {
+    [SERVER_QUOTES_KEY]: () => readJson(SERVER_QUOTES_KEY),
+    [LAST_CATEGORY_KEY]: () => localStorage.getItem(LAST_CATEGORY_KEY),
+    [LAST_SYNC_TIME_KEY]: () => localStorage.getItem(LAST_SYNC_TIME_KEY),
+    [AUTO_SYNC_ENABLED_KEY]: () => localStorage.getItem(AUTO_SYNC_ENABLED_KEY) === 'true',
+    [SYNC_CONFIG_KEY]: () => readJson(SYNC_CONFIG_KEY),
+    [SYNC_CURSOR_KEY]: () => localStorage.getItem(SYNC_CURSOR_KEY),
+    [OUTBOX_KEY]: () => readJson(OUTBOX_KEY)
+  };
   
-  // Dynamically create and append category options
-  categories.forEach(category => {
-    const option = document.createElement('option');
-    option.value = category;
-    option.textContent = category;
-    categoryFilter.appendChild(option);
-  });
+  const legacyQuotes = readJson(QUOTES_STORAGE_KEY);
+  if (Array.isArray(legacyQuotes)) {
+    ensureQuoteMetadata(legacyQuotes);
+    await writeAllQuoteRecords(legacyQuotes);
+    await writeSetting(QUOTES_INITIALIZED_KEY, true);
+    
+    const stored = await readAllQuoteRecords();
+    if (stored.length !== legacyQuotes.length) {
+      throw new Error(`Only ${stored.length} of ${legacyQuotes.length} quotes were stored`);
+    }
+    console.log('Migrated', legacyQuotes.length, 'quotes from localStorage');
+  }
   
-  // Restore previous selection if it still exists
-  const options = Array.from(categoryFilter.options).map(opt => opt.value);
-  if (options.includes(currentValue)) {
-    categoryFilter.value = currentValue;
-  } else {
-    categoryFilter.value = 'all';
+  const migratedKeys = Object.keys(legacySettings).filter(key => localStorage.getItem(key) !== null);
+  for (const key of migratedKeys) {
+    await writeSetting(key, legacySettings[key]());
+  }
+  
+  const storedKeys = await runTransaction([SETTINGS_STORE], 'readonly', transaction => {
+    const request = transaction.objectStore(SETTINGS_STORE).getAllKeys();
+    return () => new Set(request.result);
+  });
+  const missingKeys = migratedKeys.filter(key => !storedKeys.has(key));
+  if (missingKeys.length > 0) {
+    throw new Error(`Settings were not stored: ${missingKeys.join(', ')}`);
   }
   
-  console.log('Categories populated:', categories.length);
+  // Only clear the old keys once everything is safely stored
+  await writeSetting(LEGACY_MIGRATED_KEY, true);
+  [QUOTES_STORAGE_KEY, ...migratedKeys].forEach(key => localStorage.removeItem(key));
+  console.log('Legacy storage migration complete:', migratedKeys.length, 'settings');
 }
 
 /**
- * Filters and displays quotes based on the selected category
- * Saves the selected category to localStorage for persistence across sessions
- * This is the main filtering function as per Task 2
+ * Reports a failed write to the user where it matters
  */
-function filterQuotes() {
-  const categoryFilter = document.getElementById('categoryFilter');
-  const selectedCategory = categoryFilter.value;
+function handleStorageError(error) {
+  console.error('Error saving data:', error);
+  if (error && error.name === 'QuotaExceededError') {
+    alert('Storage quota exceeded! Unable to save quotes.');
+  }
+}
+
+/**
+ * Reads a setting from the in-memory cache
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting is not stored
+ */
+function getSetting(key, defaultValue = null) {
+  return settingsCache.has(key) ? settingsCache.get(key) : defaultValue;
+}
+
+/**
+ * Stores a setting in the cache and persists it
+ * @param {string} key - Setting key
+ * @param {*} value - Any structured-cloneable value
+ * @returns {Promise}
+ */
+function setSetting(key, value) {
+  settingsCache.set(key, value);
+  broadcastTabMessage({ type: 'setting-changed', key, value });
   
-  // Save selected category to localStorage for persistence
-  saveLastSelectedCategory(selectedCategory);
+  if (!db) {
+    saveSettingsToLocalStorage();
+    return Promise.resolve();
+  }
   
-  // Update the display to show filtered quotes
-  showRandomQuote();
+  return writeSetting(key, value).catch(handleStorageError);
+}
+
+/**
+ * Writes a setting to the cache and the database without telling other tabs
+ * @returns {Promise} Rejects if the write fails
+ */
+function writeSetting(key, value) {
+  settingsCache.set(key, value);
   
-  // Update statistics to reflect filtered view
-  updateFilteredStats(selectedCategory);
+  return runTransaction([SETTINGS_STORE], 'readwrite', transaction => {
+    transaction.objectStore(SETTINGS_STORE).put({ key, value });
+  });
+}
+
+/**
+ * Removes a setting from the cache and the database
+ * @param {string} key - Setting key
+ * @returns {Promise}
+ */
+function removeSetting(key) {
+  settingsCache.delete(key);
+  broadcastTabMessage({ type: 'setting-changed', key, removed: true });
+  
+  if (!db) {
+    saveSettingsToLocalStorage();
+    return Promise.resolve();
+  }
   
-  console.log('Filtering by category:', selectedCategory);
+  return runTransaction([SETTINGS_STORE], 'readwrite', transaction => {
+    transaction.objectStore(SETTINGS_STORE).delete(key);
+  }).catch(handleStorageError);
 }
 
 /**
- * Saves the last selected category to localStorage
- * Ensures filter preference persists across sessions
+ * Keeps every cached setting in localStorage when there is no database
  */
-function saveLastSelectedCategory(category) {
+function saveSettingsToLocalStorage() {
   try {
-    localStorage.setItem(LAST_CATEGORY_KEY, category);
-    console.log('Saved category filter to localStorage:', category);
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(Object.fromEntries(settingsCache)));
   } catch (error) {
-    console.error('Error saving category filter:', error);
+    handleStorageError(error);
   }
 }
 
 /**
- * Restores the last selected category from localStorage
- * Called on page load to restore user's filter preference
+ * Fills the settings cache from localStorage when there is no database
  */
-function restoreLastSelectedCategory() {
-  const lastCategory = localStorage.getItem(LAST_CATEGORY_KEY);
-  
-  if (lastCategory) {
-    const categoryFilter = document.getElementById('categoryFilter');
-    const options = Array.from(categoryFilter.options).map(opt => opt.value);
-    
-    // Only restore if the category still exists in the dropdown
-    if (options.includes(lastCategory)) {
-      categoryFilter.value = lastCategory;
-      console.log('Restored last selected category:', lastCategory);
-      
-      // Update display to reflect restored filter
-      updateFilteredStats(lastCategory);
-    }
+function loadSettingsFromLocalStorage() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    Object.entries(stored || {}).forEach(([key, value]) => settingsCache.set(key, value));
+    console.log('Settings loaded from localStorage:', settingsCache.size);
+  } catch (error) {
+    console.error('Error parsing stored settings:', error);
   }
 }
 
 /**
- * Updates statistics to show filtered quote count
- * Provides context about current filter state
+ * Reads every stored quote record in display order
+ * Without a database the quotes come from localStorage, as before IndexedDB
+ * @returns {Promise<Array>} Records of { id, position, quote }
  */
-function updateFilteredStats(selectedCategory) {
-  const statsDiv = document.getElementById('stats');
-  const categoryCount = new Set(quotes.map(q => q.category)).size;
-  
-  if (selectedCategory === 'all') {
-    statsDiv.innerHTML = `
-      <strong>Total Quotes:</strong> ${quotes.length} | 
-      <strong>Categories:</strong> ${categoryCount}
-    `;
-  } else {
-    const filteredCount = quotes.filter(q => q.category === selectedCategory).length;
-    statsDiv.innerHTML = `
-      <strong>Showing:</strong> ${filteredCount} of ${quotes.length} quotes | 
-      <strong>Category:</strong> ${selectedCategory} | 
-      <strong>Total Categories:</strong> ${categoryCount}
-    `;
+async function readAllQuoteRecords() {
+  if (!db) {
+    const stored = JSON.parse(localStorage.getItem(QUOTES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored)
+      ? stored.map((quote, position) => ({ id: quote.id, position, quote }))
+      : [];
   }
+  
+  return runTransaction([QUOTES_STORE], 'readonly', transaction => {
+    const request = transaction.objectStore(QUOTES_STORE).index('position').getAll();
+    return () => request.result;
+  });
 }
 
 /**
- * Displays a random quote from the quotes array
- * Respects the current category filter
+ * Rewrites the whole quotes store from the quotes array
+ * Used after bulk changes such as imports and sync merges
+ * @returns {Promise}
  */
-function showRandomQuote() {
-  const categoryFilter = document.getElementById('categoryFilter');
-  const selectedCategory = categoryFilter.value;
-  
-  // Filter quotes based on selected category
-  let filteredQuotes = selectedCategory === 'all' 
-    ? quotes 
-    : quotes.filter(q => q.category === selectedCategory);
+async function saveQuotes() {
+  quotePositions.clear();
+  quotes.forEach((quote, index) => quotePositions.set(quote.id, index));
+  nextQuotePosition = quotes.length;
   
-  // Check if there are quotes available
-  if (filteredQuotes.length === 0) {
-    const quoteDisplay = document.getElementById('quoteDisplay');
-    quoteDisplay.innerHTML = '<p class="empty-quote">No quotes available in this category. Add some!</p>';
+  if (!db) {
+    saveQuotesToLocalStorage();
     return;
   }
   
-  // Get random quote (avoid showing the same quote twice in a row if possible)
-  let randomIndex;
-  if (filteredQuotes.length === 1) {
-    randomIndex = 0;
-  } else {
-    do {
-      randomIndex = Math.floor(Math.random() * filteredQuotes.length);
-    } while (filteredQuotes[randomIndex] === quotes[lastQuoteIndex] && filteredQuotes.length > 1);
+  try {
+    await writeAllQuoteRecords(quotes);
+    console.log('Quotes saved to IndexedDB:', quotes.length);
+    announceQuotesChanged();
+  } catch (error) {
+    handleStorageError(error);
   }
-  
-  const quote = filteredQuotes[randomIndex];
-  lastQuoteIndex = quotes.indexOf(quote);
-  
-  // Display the quote
-  displayQuote(quote);
-  
-  // Save to session storage
-  saveLastQuote(quote);
 }
 
 /**
- * Displays a specific quote with animation
+ * Replaces the quotes store with a quote list
+ * @param {Array} quoteList
+ * @returns {Promise} Rejects if the write fails
  */
-function displayQuote(quote) {
-  const quoteDisplay = document.getElementById('quoteDisplay');
-  
-  // Clear existing content
-  quoteDisplay.innerHTML = '';
-  
-  // Create quote text element using DOM manipulation
-  const quoteText = document.createElement('p');
-  quoteText.className = 'quote-text';
-  quoteText.textContent = `"${quote.text}"`;
-  
-  // Create category element
-  const quoteCategory = document.createElement('p');
-  quoteCategory.className = 'quote-category';
-  quoteCategory.textContent = `— ${quote.category}`;
+function writeAllQuoteRecords(quoteList) {
+  return runTransaction([QUOTES_STORE], 'readwrite', transaction => {
+    const store = transaction.objectStore(QUOTES_STORE);
+    store.clear();
+    quoteList.forEach((quote, index) => {
+      store.put({ id: quote.id, position: index, quote });
+    });
+  });
+}
+
+/**
+ * Keeps the whole collection in localStorage when there is no database
+ */
+function saveQuotesToLocalStorage() {
+  try {
+    localStorage.setItem(QUOTES_STORAGE_KEY, JSON.stringify(quotes));
+    console.log('Quotes saved to localStorage:', quotes.length);
+    announceQuotesChanged();
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+/**
+ * Writes a single added or edited quote
+ * @param {Object} quote - Quote to store
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Other tabs update without a notice
+ *   (e.g. for view counts)
+ * @returns {Promise}
+ */
+async function saveQuote(quote, options = {}) {
+  if (!quotePositions.has(quote.id)) {
+    quotePositions.set(quote.id, nextQuotePosition++);
+  }
   
-  // Append elements to quote display with animation
-  quoteDisplay.style.opacity = '0';
-  quoteDisplay.appendChild(quoteText);
-  quoteDisplay.appendChild(quoteCategory);
+  if (!db) {
+    saveQuotesToLocalStorage();
+    return;
+  }
   
-  // Fade in animation
-  setTimeout(() => {
-    quoteDisplay.style.transition = 'opacity 0.5s ease';
-    quoteDisplay.style.opacity = '1';
-  }, 10);
+  try {
+    await runTransaction([QUOTES_STORE], 'readwrite', transaction => {
+      transaction.objectStore(QUOTES_STORE).put({
+        id: quote.id,
+        position: quotePositions.get(quote.id),
+        quote
+      });
+    });
+    console.log('Quote saved to IndexedDB:', quote.id);
+    announceQuotesChanged(options.quiet);
+  } catch (error) {
+    handleStorageError(error);
+  }
 }
 
 /**
- * Creates the form interface for adding new quotes
- * Demonstrates dynamic form creation using DOM manipulation
+ * Removes a single quote from the database
+ * @param {string} id - ID of the quote to remove
+ * @returns {Promise}
  */
-function createAddQuoteForm() {
-  const formSection = document.getElementById('addQuoteSection');
-  
-  // Create form title
-  const title = document.createElement('h2');
-  title.textContent = 'Add Your Own Quote';
-  formSection.appendChild(title);
+async function deleteQuoteRecord(id) {
+  quotePositions.delete(id);
   
-  // Create quote text input group
-  const quoteGroup = document.createElement('div');
-  quoteGroup.className = 'form-group';
+  if (!db) {
+    saveQuotesToLocalStorage();
+    return;
+  }
+  
+  try {
+    await runTransaction([QUOTES_STORE], 'readwrite', transaction => {
+      transaction.objectStore(QUOTES_STORE).delete(id);
+    });
+    console.log('Quote removed from IndexedDB:', id);
+    announceQuotesChanged();
+  } catch (error) {
+    handleStorageError(error);
+  }
+}
+
+/**
+ * Initializes session storage with session-specific data
+ */
+function initSessionStorage() {
+  // Check if this is a new session
+  if (!sessionStorage.getItem(SESSION_START_KEY)) {
+    sessionStorage.setItem(SESSION_START_KEY, new Date().toISOString());
+    console.log('New session started');
+  }
+  
+  // Log session duration on page visibility change, and pause a running
+  // slideshow while nobody can see it
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      const startTime = new Date(sessionStorage.getItem(SESSION_START_KEY));
+      const duration = Math.floor((new Date() - startTime) / 1000);
+      console.log(`Session duration: ${duration} seconds`);
+    }
+    handleSlideshowVisibility();
+  });
+}
+
+/**
+ * Saves the current quote to session storage
+ */
+function saveLastQuote(quote) {
+  if (quote) {
+    sessionStorage.setItem(LAST_QUOTE_KEY, JSON.stringify(quote));
+  }
+}
+
+/**
+ * Reads the last viewed quote from session storage without displaying it
+ * @returns {Object|null} The stored quote or null
+ */
+function getLastQuote() {
+  const lastQuoteData = sessionStorage.getItem(LAST_QUOTE_KEY);
+  
+  if (!lastQuoteData) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(lastQuoteData);
+  } catch (error) {
+    console.error('Error reading last quote:', error);
+    return null;
+  }
+}
+
+/**
+ * Restores and displays the last viewed quote from session storage
+ */
+function restoreLastQuote() {
+  const lastQuoteData = sessionStorage.getItem(LAST_QUOTE_KEY);
+  
+  if (lastQuoteData) {
+    try {
+      const quote = JSON.parse(lastQuoteData);
+      displayQuote(quote, { countView: false });
+      console.log('Restored last viewed quote from session');
+      return true;
+    } catch (error) {
+      console.error('Error restoring last quote:', error);
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Filter values a quote can be matched on, and the filter lists holding the
+ * included and excluded values of each
+ */
+const FILTER_KINDS = {
+  category: { include: 'categories', exclude: 'excludeCategories', valuesOf: quote => [quote.category] },
+  author: { include: 'authors', exclude: 'excludeAuthors', valuesOf: quote => quote.author ? [quote.author] : [] },
+  tag: { include: 'tags', exclude: 'excludeTags', valuesOf: quote => quote.tags || [] }
+};
+
+/**
+ * Creates a filter that matches every quote
+ *   categories / authors / tags:  values a quote must have (empty = any)
+ *   tagMode:                      'any' (OR) or 'all' (AND) for tags
+ *   exclude*:                     values that hide a quote
+ * Categories and authors are always OR-ed since a quote has only one of each
+ */
+function createEmptyFilter() {
+  return {
+    categories: [],
+    authors: [],
+    tags: [],
+    tagMode: 'any',
+    excludeCategories: [],
+    excludeAuthors: [],
+    excludeTags: []
+  };
+}
+
+/**
+ * Names of every value list in a filter
+ */
+function filterListKeys() {
+  return Object.values(FILTER_KINDS).flatMap(kind => [kind.include, kind.exclude]);
+}
+
+/**
+ * Fills in missing parts of a stored filter
+ */
+function normalizeFilter(filter) {
+  const empty = createEmptyFilter();
+  const normalized = { ...empty, ...(filter || {}) };
+  
+  filterListKeys().forEach(key => {
+    normalized[key] = Array.isArray(normalized[key]) ? [...normalized[key]] : [];
+  });
+  normalized.tagMode = normalized.tagMode === 'all' ? 'all' : 'any';
+  
+  return normalized;
+}
+
+/**
+ * Checks whether a filter lets every quote through
+ */
+function isFilterEmpty(filter) {
+  return filterListKeys().every(key => filter[key].length === 0);
+}
+
+/**
+ * Compares two filters, ignoring the order of their values
+ */
+function filtersEqual(a, b) {
+  return filterKey(a) === filterKey(b);
+}
+
+/**
+ * Turns a filter into a string that is the same for equal filters
+ */
+function filterKey(filter) {
+  const normalized = normalizeFilter(filter);
+  return JSON.stringify(filterListKeys()
+    .map(part => [...normalized[part]].sort())
+    .concat(normalized.tagMode));
+}
+
+/**
+ * Checks whether a quote passes a filter
+ * @param {Object} quote - Quote to test
+ * @param {Object} filter - Filter from createEmptyFilter()
+ * @returns {boolean}
+ */
+function matchesFilter(quote, filter) {
+  return Object.entries(FILTER_KINDS).every(([name, kind]) => {
+    const values = kind.valuesOf(quote);
+    const has = value => values.includes(value);
+    
+    if (filter[kind.exclude].some(has)) {
+      return false;
+    }
+    
+    const included = filter[kind.include];
+    if (included.length === 0) {
+      return true;
+    }
+    
+    return name === 'tag' && filter.tagMode === 'all' ? included.every(has) : included.some(has);
+  });
+}
+
+/**
+ * Describes a filter in a short human-readable form
+ */
+function describeFilter(filter) {
+  const parts = [];
+  
+  if (filter.categories.length > 0) {
+    parts.push(filter.categories.join(' or '));
+  }
+  if (filter.authors.length > 0) {
+    parts.push(`by ${filter.authors.join(' or ')}`);
+  }
+  if (filter.tags.length > 0) {
+    parts.push(filter.tags.map(tag => `#${tag}`).join(filter.tagMode === 'all' ? ' and ' : ' or '));
+  }
+  
+  const excluded = [
+    ...filter.excludeCategories,
+    ...filter.excludeAuthors.map(author => `by ${author}`),
+    ...filter.excludeTags.map(tag => `#${tag}`)
+  ];
+  if (excluded.length > 0) {
+    parts.push(`not ${excluded.join(', ')}`);
+  }
+  
+  return parts.join(' · ');
+}
+
+/**
+ * Populates the filter bar with the categories, authors and tags found in
+ * quotes, each with the number of quotes that have it
+ * Values used by the active filter are kept even if no quote has them
+ * anymore, so they can still be cleared
+ */
+function populateCategories() {
+  const containers = { category: 'categoryChips', author: 'authorChips', tag: 'tagChips' };
+  
+  Object.entries(FILTER_KINDS).forEach(([name, kind]) => {
+    // Count quotes per value
+    const counts = new Map();
+    quotes.forEach(quote => {
+      kind.valuesOf(quote).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    [...activeFilter[kind.include], ...activeFilter[kind.exclude]].forEach(value => {
+      if (!counts.has(value)) {
+        counts.set(value, 0);
+      }
+    });
+    
+    const values = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+    renderFilterChips(containers[name], name, values, counts);
+  });
+  
+  document.getElementById('tagMode').value = activeFilter.tagMode;
+  
+  console.log('Filter bar populated:', document.querySelectorAll('.filter-chips .chip').length, 'values');
+}
+
+/**
+ * Renders toggle chips for filter values
+ * Each chip cycles through neutral, included and excluded
+ * @param {string} containerId - Element to fill
+ * @param {string} kind - Key of FILTER_KINDS
+ * @param {Array<string>} values - Values to show
+ * @param {Map<string, number>} counts - Number of quotes per value
+ */
+function renderFilterChips(containerId, kind, values, counts) {
+  const container = document.getElementById(containerId);
+  const included = activeFilter[FILTER_KINDS[kind].include];
+  const excluded = activeFilter[FILTER_KINDS[kind].exclude];
+  
+  container.innerHTML = '';
+  
+  if (values.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'filter-hint';
+    empty.textContent = { category: 'No categories yet', author: 'No authors yet', tag: 'No tags yet' }[kind];
+    container.appendChild(empty);
+    return;
+  }
+  
+  values.forEach(value => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'chip';
+    chip.textContent = kind === 'tag' ? `#${value}` : value;
+    
+    const count = document.createElement('span');
+    count.className = 'chip-count';
+    count.textContent = counts.get(value);
+    chip.appendChild(count);
+    
+    if (included.includes(value)) {
+      chip.classList.add('included');
+      chip.setAttribute('aria-pressed', 'true');
+    } else if (excluded.includes(value)) {
+      chip.classList.add('excluded');
+      chip.setAttribute('aria-pressed', 'mixed');
+    } else {
+      chip.setAttribute('aria-pressed', 'false');
+    }
+    
+    chip.onclick = () => cycleFilterValue(kind, value);
+    container.appendChild(chip);
+  });
+}
+
+/**
+ * Moves a filter value to its next state: include, exclude, off
+ * @param {string} kind - Key of FILTER_KINDS
+ * @param {string} value - The category, author or tag
+ */
+function cycleFilterValue(kind, value) {
+  const { include, exclude } = FILTER_KINDS[kind];
+  const filter = normalizeFilter(activeFilter);
+  
+  if (filter[include].includes(value)) {
+    filter[include] = filter[include].filter(v => v !== value);
+    filter[exclude].push(value);
+  } else if (filter[exclude].includes(value)) {
+    filter[exclude] = filter[exclude].filter(v => v !== value);
+  } else {
+    filter[include].push(value);
+  }
+  
+  setActiveFilter(filter);
+}
+
+/**
+ * Switches between matching any or all selected tags
+ */
+function changeTagMode() {
+  setActiveFilter({ ...activeFilter, tagMode: document.getElementById('tagMode').value });
+}
+
+/**
+ * Replaces the active filter and refreshes everything that depends on it
+ * @param {Object} filter - New filter
+ */
+function setActiveFilter(filter) {
+  activeFilter = normalizeFilter(filter);
+  filterQuotes();
+}
+
+/**
+ * Filters and displays quotes based on the active filter
+ * Saves the filter to storage for persistence across sessions
+ * This is the main filtering function as per Task 2
+ */
+function filterQuotes() {
+  // Save the filter to storage for persistence
+  saveActiveFilter();
+  
+  // Reflect the filter in the filter bar
+  populateCategories();
+  syncPresetSelection();
+  
+  // Update the display to show filtered quotes
+  showRandomQuote();
+  
+  // Update statistics to reflect filtered view
+  updateFilteredStats();
+  
+  // Show the filtered collection from its first page
+  quoteListPage = 0;
+  renderQuoteList();
+  
+  console.log('Filtering by:', describeFilter(activeFilter) || 'all quotes');
+}
+
+/**
+ * Saves the active filter to storage
+ * Ensures filter preference persists across sessions
+ */
+function saveActiveFilter() {
+  setSetting(ACTIVE_FILTER_KEY, activeFilter);
+}
+
+/**
+ * Restores the active filter from storage
+ * Called on page load; converts the older single-category setting once
+ */
+function restoreActiveFilter() {
+  const storedFilter = getSetting(ACTIVE_FILTER_KEY);
+  
+  if (storedFilter) {
+    activeFilter = normalizeFilter(storedFilter);
+  } else {
+    activeFilter = createEmptyFilter();
+    
+    const lastCategory = getSetting(LAST_CATEGORY_KEY);
+    if (lastCategory && lastCategory !== 'all') {
+      activeFilter.categories.push(lastCategory);
+    }
+    saveActiveFilter();
+    removeSetting(LAST_CATEGORY_KEY);
+  }
+  
+  console.log('Restored filter:', describeFilter(activeFilter) || 'all quotes');
+}
+
+/**
+ * Drops values that no quote has anymore from the active filter
+ * Keeps the view from going empty after the last quote of a category is edited
+ * @returns {boolean} True if the filter changed
+ */
+function pruneActiveFilter() {
+  const pruned = normalizeFilter(activeFilter);
+  
+  Object.values(FILTER_KINDS).forEach(kind => {
+    const present = new Set(quotes.flatMap(kind.valuesOf));
+    pruned[kind.include] = pruned[kind.include].filter(value => present.has(value));
+    pruned[kind.exclude] = pruned[kind.exclude].filter(value => present.has(value));
+  });
+  
+  if (filtersEqual(pruned, activeFilter)) {
+    return false;
+  }
+  
+  activeFilter = pruned;
+  saveActiveFilter();
+  return true;
+}
+
+/**
+ * Updates statistics to show filtered quote count
+ * Provides context about current filter state
+ */
+function updateFilteredStats() {
+  const statsDiv = document.getElementById('stats');
+  const categoryCount = new Set(quotes.map(q => q.category)).size;
+  
+  if (isFilterEmpty(activeFilter)) {
+    statsDiv.innerHTML = `
+      <strong>Total Quotes:</strong> ${quotes.length} | 
+      <strong>Categories:</strong> ${categoryCount}
+    `;
+  } else {
+    const filteredCount = getFilteredQuotes().length;
+    statsDiv.innerHTML = `
+      <strong>Showing:</strong> ${filteredCount} of ${quotes.length} quotes | 
+      <strong>Filter:</strong> <span id="filterDescription"></span> | 
+      <strong>Total Categories:</strong> ${categoryCount}
+    `;
+    // Filter values are user text, so don't put them in innerHTML
+    document.getElementById('filterDescription').textContent = describeFilter(activeFilter);
+  }
+}
+
+/**
+ * Returns the quotes matching the active filter
+ * @returns {Array} Filtered quotes, in stored order
+ */
+function getFilteredQuotes() {
+  return isFilterEmpty(activeFilter)
+    ? quotes
+    : quotes.filter(q => matchesFilter(q, activeFilter));
+}
+
+// ============================================
+// FILTER PRESETS
+// ============================================
+
+/**
+ * Reads the saved filter presets
+ * @returns {Array} Presets of { id, name, filter }
+ */
+function getFilterPresets() {
+  return getSetting(FILTER_PRESETS_KEY, []);
+}
+
+/**
+ * Fills the preset dropdown and selects the preset matching the active filter
+ */
+function renderFilterPresets() {
+  const select = document.getElementById('filterPreset');
+  select.innerHTML = '<option value="">Custom filter</option>';
+  
+  getFilterPresets().forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    select.appendChild(option);
+  });
+  
+  syncPresetSelection();
+}
+
+/**
+ * Selects the preset equal to the active filter, if any
+ */
+function syncPresetSelection() {
+  const match = getFilterPresets().find(preset => filtersEqual(preset.filter, activeFilter));
+  document.getElementById('filterPreset').value = match ? match.id : '';
+  document.getElementById('deletePreset').disabled = !match;
+}
+
+/**
+ * Saves the active filter as a named preset
+ * Saving under an existing name replaces that preset
+ */
+function saveFilterPreset() {
+  if (isFilterEmpty(activeFilter)) {
+    alert('Select some categories or tags before saving a preset!');
+    return;
+  }
+  
+  const name = (prompt('Name for this filter preset:', describeFilter(activeFilter)) || '').trim();
+  if (!name) {
+    return;
+  }
+  
+  const presets = getFilterPresets().filter(preset => preset.name !== name);
+  presets.push({ id: generateQuoteId(), name, filter: normalizeFilter(activeFilter) });
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+  
+  setSetting(FILTER_PRESETS_KEY, presets);
+  renderFilterPresets();
+  showNotification(`Saved filter preset "${name}"`);
+}
+
+/**
+ * Applies the preset chosen in the dropdown
+ */
+function applyFilterPreset() {
+  const id = document.getElementById('filterPreset').value;
+  const preset = getFilterPresets().find(p => p.id === id);
+  
+  if (preset) {
+    setActiveFilter(preset.filter);
+    console.log('Applied filter preset:', preset.name);
+  } else {
+    syncPresetSelection();
+  }
+}
+
+/**
+ * Deletes the selected preset (the active filter itself is kept)
+ */
+function deleteFilterPreset() {
+  const id = document.getElementById('filterPreset').value;
+  const preset = getFilterPresets().find(p => p.id === id);
+  
+  if (!preset || !confirm(`Delete the filter preset "${preset.name}"?`)) {
+    return;
+  }
+  
+  setSetting(FILTER_PRESETS_KEY, getFilterPresets().filter(p => p.id !== id));
+  renderFilterPresets();
+  showNotification(`Deleted filter preset "${preset.name}"`);
+}
+
+/**
+ * Displays the next quote from the quotes array
+ * Respects the active filter; the rotation strategy picks which quote
+ */
+function showRandomQuote() {
+  // Filter quotes with the active filter
+  const filteredQuotes = getFilteredQuotes();
+  
+  // Check if there are quotes available
+  if (filteredQuotes.length === 0) {
+    const quoteDisplay = document.getElementById('quoteDisplay');
+    quoteDisplay.innerHTML = '<p class="empty-quote">No quotes match the current filter. Add some!</p>';
+    return;
+  }
+  
+  const quote = chooseNextQuote(filteredQuotes);
+  
+  // Display the quote
+  displayQuote(quote);
+  
+  // Save to session storage
+  saveLastQuote(quote);
+}
+
+/**
+ * Displays a specific quote with animation
+ * @param {Object} quote - Quote to show
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.container] - Where to show it (default: main display)
+ * @param {string} [options.transition] - Key of QUOTE_TRANSITIONS (default: 'fade')
+ * @param {boolean} [options.countView] - Record a view (default: true); false
+ *   when the same quote is only redrawn
+ */
+function displayQuote(quote, options = {}) {
+  const quoteDisplay = options.container || document.getElementById('quoteDisplay');
+  const transition = options.transition || 'fade';
+  
+  // Clear existing content
+  quoteDisplay.innerHTML = '';
+  
+  // Create quote text element using DOM manipulation
+  const quoteText = document.createElement('p');
+  quoteText.className = 'quote-text';
+  quoteText.textContent = `"${quote.text}"`;
+  
+  // Create attribution element: author, source and year when known, then category
+  const quoteCategory = document.createElement('p');
+  quoteCategory.className = 'quote-category';
+  
+  if (quote.author || quote.source || quote.year !== undefined) {
+    const sourceUrl = quote.source ? getSourceUrl(quote.source) : null;
+    
+    quoteCategory.appendChild(document.createTextNode('— '));
+    quoteCategory.appendChild(document.createTextNode(
+      [quote.author, sourceUrl ? null : quote.source].filter(Boolean).join(', ')
+    ));
+    
+    if (sourceUrl) {
+      const link = document.createElement('a');
+      link.href = sourceUrl.href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = sourceUrl.hostname;
+      if (quote.author) {
+        quoteCategory.appendChild(document.createTextNode(', '));
+      }
+      quoteCategory.appendChild(link);
+    }
+    
+    if (quote.year !== undefined) {
+      quoteCategory.appendChild(document.createTextNode(` (${quote.year})`));
+    }
+    
+    quoteCategory.appendChild(document.createTextNode(` · ${quote.category}`));
+  } else {
+    quoteCategory.textContent = `— ${quote.category}`;
+  }
+  
+  // Append elements to quote display with animation
+  prepareTransition(quoteDisplay, transition);
+  quoteDisplay.appendChild(quoteText);
+  quoteDisplay.appendChild(quoteCategory);
+  
+  if (quote.tags && quote.tags.length > 0) {
+    const quoteTags = document.createElement('p');
+    quoteTags.className = 'quote-tags';
+    quoteTags.textContent = formatTags(quote.tags);
+    quoteDisplay.appendChild(quoteTags);
+  }
+  
+  // Favorite and rating controls in the main display
+  if (!options.container) {
+    quoteDisplay.appendChild(createQuoteFeedback(quote));
+  }
+  
+  if (options.countView !== false) {
+    recordQuoteView(quote);
+  }
+  
+  // Fade in animation
+  setTimeout(() => {
+    if (transition !== 'none') {
+      quoteDisplay.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
+    }
+    quoteDisplay.style.opacity = '1';
+    quoteDisplay.style.transform = '';
+  }, 10);
+}
+
+/**
+ * Puts an element in the starting state of a transition
+ * displayQuote() then animates it back to normal
+ */
+function prepareTransition(element, transition) {
+  element.style.transition = 'none';
+  element.style.opacity = transition === 'none' ? '1' : '0';
+  element.style.transform = {
+    slide: 'translateX(40px)',
+    zoom: 'scale(0.9)'
+  }[transition] || '';
+}
+
+/**
+ * Creates the form interface for adding new quotes
+ * Demonstrates dynamic form creation using DOM manipulation
+ */
+function createAddQuoteForm() {
+  const formSection = document.getElementById('addQuoteSection');
+  
+  // Create form title
+  const title = document.createElement('h2');
+  title.textContent = 'Add Your Own Quote';
+  formSection.appendChild(title);
+  
+  // Create quote text input group
+  const quoteGroup = document.createElement('div');
+  quoteGroup.className = 'form-group';
   
   const quoteInput = document.createElement('input');
   quoteInput.type = 'text';
@@ -374,675 +1456,7849 @@ function createAddQuoteForm() {
   quoteInput.placeholder = 'Enter a new quote';
   quoteInput.setAttribute('aria-label', 'New quote text');
   
-  quoteGroup.appendChild(quoteInput);
-  formSection.appendChild(quoteGroup);
+  quoteGroup.appendChild(quoteInput);
+  formSection.appendChild(quoteGroup);
+  
+  // Create category input group
+  const categoryGroup = document.createElement('div');
+  categoryGroup.className = 'form-group';
+  
+  const categoryInput = document.createElement('input');
+  categoryInput.type = 'text';
+  categoryInput.id = 'newQuoteCategory';
+  categoryInput.placeholder = 'Enter quote category';
+  categoryInput.setAttribute('aria-label', 'Quote category');
+  
+  categoryGroup.appendChild(categoryInput);
+  formSection.appendChild(categoryGroup);
+  
+  // Create tags input group
+  const tagsGroup = document.createElement('div');
+  tagsGroup.className = 'form-group';
+  
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.id = 'newQuoteTags';
+  tagsInput.placeholder = 'Tags, separated by commas (optional)';
+  tagsInput.setAttribute('aria-label', 'Quote tags');
+  
+  tagsGroup.appendChild(tagsInput);
+  formSection.appendChild(tagsGroup);
+  
+  // Create optional attribution group: author, source and year
+  const attributionGroup = document.createElement('div');
+  attributionGroup.className = 'form-group attribution-group';
+  
+  const authorInput = document.createElement('input');
+  authorInput.type = 'text';
+  authorInput.id = 'newQuoteAuthor';
+  authorInput.placeholder = 'Author (optional)';
+  authorInput.setAttribute('aria-label', 'Quote author');
+  
+  const sourceInput = document.createElement('input');
+  sourceInput.type = 'text';
+  sourceInput.id = 'newQuoteSource';
+  sourceInput.placeholder = 'Source: book, talk or URL (optional)';
+  sourceInput.setAttribute('aria-label', 'Quote source');
+  
+  const yearInput = document.createElement('input');
+  yearInput.type = 'number';
+  yearInput.id = 'newQuoteYear';
+  yearInput.placeholder = 'Year';
+  yearInput.setAttribute('aria-label', 'Quote year');
+  
+  attributionGroup.appendChild(authorInput);
+  attributionGroup.appendChild(sourceInput);
+  attributionGroup.appendChild(yearInput);
+  formSection.appendChild(attributionGroup);
+  
+  // Create add quote button
+  const addButton = document.createElement('button');
+  addButton.textContent = 'Add Quote';
+  addButton.onclick = addQuote;
+  addButton.style.width = '100%';
+  
+  formSection.appendChild(addButton);
+}
+
+/**
+ * Adds a new quote to the quotes array
+ * Updates categories dropdown if new category is introduced (Task 2 requirement)
+ */
+async function addQuote() {
+  const quoteText = document.getElementById('newQuoteText');
+  const quoteCategory = document.getElementById('newQuoteCategory');
+  const quoteTags = document.getElementById('newQuoteTags');
+  const quoteAuthor = document.getElementById('newQuoteAuthor');
+  const quoteSource = document.getElementById('newQuoteSource');
+  const quoteYear = document.getElementById('newQuoteYear');
+  
+  const text = quoteText.value.trim();
+  const category = quoteCategory.value.trim();
+  
+  // Validate inputs
+  if (!text || !category) {
+    alert('Please fill in both the quote text and category!');
+    return;
+  }
+  
+  const tags = parseTags(quoteTags.value);
+  const tagError = validateTags(tags);
+  if (tagError) {
+    alert(tagError);
+    return;
+  }
+  
+  const attribution = normalizeAttribution({
+    author: quoteAuthor.value,
+    source: quoteSource.value,
+    year: quoteYear.value
+  });
+  const attributionError = validateAttribution(attribution);
+  if (attributionError) {
+    alert(attributionError);
+    return;
+  }
+  
+  // Warn before adding a quote the collection already has
+  const match = findSimilarQuote({ text }, quotes);
+  if (match && !confirm(
+    `${match.similarity === 1 ? 'This quote is already' : `A quote ${Math.round(match.similarity * 100)}% alike is already`} ` +
+    `in your collection (${match.quote.category}):\n\n"${match.quote.text}"\n\nAdd it anyway?`
+  )) {
+    return;
+  }
+  
+  // Check if this is a new category
+  const existingCategories = [...new Set(quotes.map(q => q.category))];
+  const isNewCategory = !existingCategories.includes(category);
+  
+  const before = snapshotQuotes();
+  
+  // Create new quote object
+  const newQuote = {
+    id: generateQuoteId(),
+    text: text,
+    category: category,
+    tags: tags,
+    ...attribution,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  
+  // Add to quotes array
+  quotes.push(newQuote);
+  indexQuote(newQuote);
+  
+  // Save to IndexedDB and queue the change for the server
+  await saveQuote(newQuote);
+  enqueueOperation('add', newQuote);
+  recordHistory('Add quote', before);
+  
+  // Clear input fields
+  quoteText.value = '';
+  quoteCategory.value = '';
+  quoteTags.value = '';
+  quoteAuthor.value = '';
+  quoteSource.value = '';
+  quoteYear.value = '';
+  
+  // Update category filter - this will add the new category if it doesn't exist
+  if (isNewCategory) {
+    console.log('New category detected:', category);
+  }
+  
+  // Update statistics
+  updateStats();
+  renderSearchResults();
+  
+  // Show success feedback
+  showNotification(isNewCategory ? 
+    `Quote added with new category "${category}"!` : 
+    'Quote added successfully!');
+  
+  // Switch to the new quote's category if the active filter would hide it
+  if (!matchesFilter(newQuote, activeFilter)) {
+    activeFilter = { ...createEmptyFilter(), categories: [category] };
+    saveActiveFilter();
+  }
+  populateCategories();
+  syncPresetSelection();
+  showRandomQuote();
+  updateFilteredStats();
+  
+  // List the new quote's category from the first page
+  quoteListPage = 0;
+  renderQuoteList();
+}
+
+/**
+ * Updates an existing quote in place
+ * @param {string} id - ID of the quote to update
+ * @param {Object} changes - New values for text, category, tags, author,
+ *   source, year and/or weight
+ * @returns {Promise<boolean>} True if the quote was updated
+ */
+async function updateQuote(id, changes) {
+  const quote = findQuoteById(id);
+  
+  if (!quote) {
+    console.error('Quote not found:', id);
+    return false;
+  }
+  
+  const text = (changes.text ?? quote.text).trim();
+  const category = (changes.category ?? quote.category).trim();
+  const tags = changes.tags ?? quote.tags;
+  const attribution = normalizeAttribution({
+    author: changes.author ?? quote.author,
+    source: changes.source ?? quote.source,
+    year: changes.year ?? quote.year
+  });
+  
+  // Validate inputs
+  if (!text || !category) {
+    alert('Please fill in both the quote text and category!');
+    return false;
+  }
+  
+  const tagError = validateTags(tags);
+  if (tagError) {
+    alert(tagError);
+    return false;
+  }
+  
+  const attributionError = validateAttribution(attribution);
+  if (attributionError) {
+    alert(attributionError);
+    return false;
+  }
+  
+  const weight = changes.weight ?? getAssignedWeight(quote);
+  const weightError = validateWeight(weight);
+  if (weightError) {
+    alert(weightError);
+    return false;
+  }
+  
+  const before = snapshotQuotes();
+  
+  quote.text = text;
+  quote.category = category;
+  quote.tags = tags;
+  setAttribution(quote, attribution);
+  // The default weight is left out so most quotes don't carry it
+  if (weight === MIN_QUOTE_WEIGHT) {
+    delete quote.weight;
+  } else {
+    quote.weight = weight;
+  }
+  quote.updatedAt = Date.now();
+  indexQuote(quote);
+  
+  await saveQuote(quote);
+  enqueueOperation('update', quote);
+  recordHistory('Edit quote', before);
+  
+  // Keep the session-stored quote in step with the edit
+  const lastQuote = getLastQuote();
+  if (lastQuote && lastQuote.id === id) {
+    saveLastQuote(quote);
+    displayQuote(quote, { countView: false });
+  }
+  
+  refreshAfterQuoteChange();
+  showNotification('Quote updated successfully!');
+  console.log('Quote updated:', id);
+  return true;
+}
+
+/**
+ * Removes a quote from the collection
+ * @param {string} id - ID of the quote to delete
+ * @returns {Promise<boolean>} True if the quote was deleted
+ */
+async function deleteQuote(id) {
+  const index = quotes.findIndex(q => q.id === id);
+  
+  if (index === -1) {
+    console.error('Quote not found:', id);
+    return false;
+  }
+  
+  const before = snapshotQuotes();
+  const [deleted] = quotes.splice(index, 1);
+  unindexQuote(id);
+  
+  await deleteQuoteRecord(id);
+  enqueueOperation('delete', deleted);
+  const change = recordHistory('Delete quote', before);
+  refreshAfterQuoteChange();
+  
+  // Don't leave a deleted quote on screen or in the session
+  const lastQuote = getLastQuote();
+  if (lastQuote && lastQuote.id === id) {
+    sessionStorage.removeItem(LAST_QUOTE_KEY);
+    showRandomQuote();
+  }
+  
+  showNotification('Quote deleted.', undoAction(change));
+  console.log('Quote deleted:', id);
+  return true;
+}
+
+/**
+ * Deletes every quote matching the active filter
+ * A snapshot is taken first, and the deletion can be undone
+ */
+async function deleteFilteredQuotes() {
+  const doomed = getFilteredQuotes();
+  
+  if (doomed.length === 0) {
+    alert('No quotes match the current filter!');
+    return;
+  }
+  
+  const scope = isFilterEmpty(activeFilter) ? 'ALL' : 'the';
+  if (!confirm(`Delete ${scope} ${doomed.length} quotes shown? A snapshot is taken first, so you can restore them.`)) {
+    return;
+  }
+  
+  await takeSnapshot('Before bulk delete');
+  
+  const before = snapshotQuotes();
+  const doomedIds = new Set(doomed.map(q => q.id));
+  
+  quotes = quotes.filter(q => !doomedIds.has(q.id));
+  doomed.forEach(quote => unindexQuote(quote.id));
+  enqueueOperations(doomed.map(quote => ({ type: 'delete', quote })));
+  
+  await saveQuotes();
+  const change = recordHistory(`Delete ${doomed.length} quotes`, before);
+  refreshAfterQuoteChange();
+  
+  const lastQuote = getLastQuote();
+  if (lastQuote && doomedIds.has(lastQuote.id)) {
+    sessionStorage.removeItem(LAST_QUOTE_KEY);
+    showRandomQuote();
+  }
+  
+  showNotification(`Deleted ${doomed.length} quotes.`, undoAction(change));
+  console.log('Bulk deleted', doomed.length, 'quotes');
+}
+
+/**
+ * Refreshes the filter bar, statistics and the management list after an edit
+ * Drops categories and tags that no longer have any quotes from the filter
+ */
+function refreshAfterQuoteChange() {
+  if (pruneActiveFilter()) {
+    syncPresetSelection();
+  }
+  
+  populateCategories();
+  updateFilteredStats();
+  renderQuoteList();
+  renderSearchResults();
+  renderQotdCategories();
+  renderQuoteOfTheDay();
+  renderStatsDashboard();
+}
+
+/**
+ * Splits comma-separated input into clean, unique, lowercase tags
+ * @param {string} input - e.g. "focus, Teamwork ,focus"
+ * @returns {Array<string>} e.g. ['focus', 'teamwork']
+ */
+function parseTags(input) {
+  return normalizeTags(String(input || '').split(','));
+}
+
+/**
+ * Cleans a list of tags from user input, imports or the server
+ * Non-string entries are dropped
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  
+  const cleaned = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/^#/, '').replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+  
+  return [...new Set(cleaned)];
+}
+
+/**
+ * Checks tags against the length and count limits
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTags(tags) {
+  if (tags.length > MAX_TAGS_PER_QUOTE) {
+    return `A quote can have at most ${MAX_TAGS_PER_QUOTE} tags!`;
+  }
+  
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return `Tags can be at most ${MAX_TAG_LENGTH} characters long: "${tooLong}"`;
+  }
+  
+  return null;
+}
+
+/**
+ * Formats tags for display, e.g. "#focus #teamwork"
+ */
+function formatTags(tags) {
+  return (tags || []).map(tag => `#${tag}`).join(' ');
+}
+
+/**
+ * Cleans the optional author, source and year of a quote
+ * Blank values are left out; the year is converted to a number
+ * @param {Object} raw - { author, source, year } from a form, import or server
+ * @returns {Object} Attribution with only the fields that are set
+ */
+function normalizeAttribution(raw) {
+  const attribution = {};
+  
+  ['author', 'source'].forEach(field => {
+    const value = typeof raw[field] === 'string' ? raw[field].trim().replace(/\s+/g, ' ') : '';
+    if (value) {
+      attribution[field] = value;
+    }
+  });
+  
+  if (raw.year !== undefined && raw.year !== null && String(raw.year).trim() !== '') {
+    attribution.year = Number(raw.year);
+  }
+  
+  return attribution;
+}
+
+/**
+ * Checks an attribution from normalizeAttribution()
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAttribution(attribution) {
+  if (attribution.author && attribution.author.length > MAX_AUTHOR_LENGTH) {
+    return `The author can be at most ${MAX_AUTHOR_LENGTH} characters long!`;
+  }
+  
+  if (attribution.source) {
+    if (attribution.source.length > MAX_SOURCE_LENGTH) {
+      return `The source can be at most ${MAX_SOURCE_LENGTH} characters long!`;
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(attribution.source) && !getSourceUrl(attribution.source)) {
+      return 'Source links must be valid http or https URLs!';
+    }
+  }
+  
+  if (attribution.year !== undefined) {
+    const currentYear = new Date().getFullYear();
+    if (!Number.isInteger(attribution.year) ||
+        attribution.year < MIN_QUOTE_YEAR || attribution.year > currentYear) {
+      return `The year must be a whole number between ${MIN_QUOTE_YEAR} and ${currentYear}!`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Replaces the author, source and year of a quote
+ * Fields missing from the attribution are removed from the quote
+ */
+function setAttribution(quote, attribution) {
+  ['author', 'source', 'year'].forEach(field => {
+    if (attribution[field] === undefined) {
+      delete quote[field];
+    } else {
+      quote[field] = attribution[field];
+    }
+  });
+}
+
+/**
+ * Returns the source as a URL if it is an http(s) link
+ * @returns {URL|null}
+ */
+function getSourceUrl(source) {
+  try {
+    const url = new URL(source);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Formats author, source and year for display, e.g. "Seneca, Letters, 65"
+ * @returns {string} Empty string if the quote has none of them
+ */
+function formatAttribution(quote) {
+  return [quote.author, quote.source, quote.year].filter(value => value !== undefined && value !== '').join(', ');
+}
+
+/**
+ * Key under which two quotes count as duplicates on import and merge
+ * Only the normalized text counts: the same words in another category or
+ * with other punctuation are still the same quote
+ */
+function quoteDuplicateKey(quote) {
+  return normalizeQuoteText(quote.text);
+}
+
+/**
+ * Sorts quotes for the browse list
+ * @param {Array} quoteList - Quotes to sort (not modified)
+ * @param {string} sortKey - 'added-desc', 'added-asc', 'category' or 'text'
+ * @returns {Array} Sorted copy
+ */
+function sortQuotes(quoteList, sortKey) {
+  // Stored order breaks ties, so quotes without a creation date keep their place
+  const order = new Map(quotes.map((q, index) => [q.id, index]));
+  const byAdded = (a, b) => (a.createdAt - b.createdAt) || (order.get(a.id) - order.get(b.id));
+  const byText = (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' });
+  
+  const comparators = {
+    'added-desc': (a, b) => byAdded(b, a),
+    'added-asc': byAdded,
+    'category': (a, b) => a.category.localeCompare(b.category, undefined, { sensitivity: 'base' }) || byText(a, b),
+    // Quotes without an author go last
+    'author': (a, b) => (!a.author - !b.author) ||
+      (a.author || '').localeCompare(b.author || '', undefined, { sensitivity: 'base' }) || byText(a, b),
+    'text': byText
+  };
+  
+  return [...quoteList].sort(comparators[sortKey] || comparators['added-desc']);
+}
+
+/**
+ * Renders one page of the quotes matching the current filter
+ * Each row can be clicked to display the quote, edited or deleted
+ */
+function renderQuoteList() {
+  const list = document.getElementById('quoteList');
+  const summary = document.getElementById('quoteListSummary');
+  list.innerHTML = '';
+  
+  const filtered = sortQuotes(getFilteredQuotes(), quoteListSort);
+  const pageCount = Math.max(1, Math.ceil(filtered.length / QUOTE_LIST_PAGE_SIZE));
+  
+  // Stay on a valid page when quotes were removed
+  quoteListPage = Math.min(quoteListPage, pageCount - 1);
+  
+  const start = quoteListPage * QUOTE_LIST_PAGE_SIZE;
+  const pageQuotes = filtered.slice(start, start + QUOTE_LIST_PAGE_SIZE);
+  
+  if (pageQuotes.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-quote';
+    empty.textContent = quotes.length === 0 ? 'No quotes yet.' : 'No quotes match the current filter.';
+    list.appendChild(empty);
+    summary.textContent = '';
+  } else {
+    pageQuotes.forEach(quote => {
+      list.appendChild(createQuoteListItem(quote));
+    });
+    summary.textContent = `${start + 1}–${start + pageQuotes.length} of ${filtered.length}`;
+  }
+  
+  document.getElementById('pageInfo').textContent = `Page ${quoteListPage + 1} of ${pageCount}`;
+  document.getElementById('prevPage').disabled = quoteListPage === 0;
+  document.getElementById('nextPage').disabled = quoteListPage >= pageCount - 1;
+}
+
+/**
+ * Moves the browse list by a number of pages
+ * @param {number} delta - Pages to move (negative for back)
+ */
+function changeQuoteListPage(delta) {
+  quoteListPage = Math.max(0, quoteListPage + delta);
+  renderQuoteList();
+}
+
+/**
+ * Applies the sort order chosen in the browse list
+ */
+function changeQuoteListSort() {
+  quoteListSort = document.getElementById('quoteSort').value;
+  quoteListPage = 0;
+  renderQuoteList();
+}
+
+/**
+ * Creates a list row showing a quote with Edit and Delete buttons
+ * @param {Object} quote - Quote to render
+ * @returns {HTMLLIElement} The list row
+ */
+function createQuoteListItem(quote) {
+  const item = document.createElement('li');
+  item.className = 'quote-list-item';
+  item.dataset.id = quote.id;
+  
+  const details = document.createElement('div');
+  details.className = 'quote-list-details';
+  
+  const text = document.createElement('span');
+  text.className = 'quote-list-text';
+  text.textContent = quote.text;
+  
+  const category = document.createElement('span');
+  category.className = 'quote-list-category';
+  category.textContent = [
+    quote.category,
+    formatAttribution(quote),
+    getAssignedWeight(quote) !== MIN_QUOTE_WEIGHT ? `weight ${getAssignedWeight(quote)}` : '',
+    quote.rating ? formatRating(quote.rating) : ''
+  ].filter(Boolean).join(' · ');
+  
+  details.appendChild(text);
+  details.appendChild(category);
+  
+  if (quote.tags && quote.tags.length > 0) {
+    const tags = document.createElement('span');
+    tags.className = 'quote-tags';
+    tags.textContent = formatTags(quote.tags);
+    details.appendChild(tags);
+  }
+  
+  // Clicking the quote shows it in the main display
+  details.title = 'Show this quote';
+  details.addEventListener('click', () => {
+    displayQuote(quote);
+    saveLastQuote(quote);
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'quote-list-actions';
+  
+  const favoriteButton = createFavoriteButton(quote);
+  
+  const editButton = document.createElement('button');
+  editButton.textContent = 'Edit';
+  editButton.onclick = () => showQuoteEditor(item, quote);
+  
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = 'Delete';
+  deleteButton.className = 'danger';
+  deleteButton.onclick = () => {
+    if (confirm(`Delete this quote?\n\n"${quote.text}"`)) {
+      deleteQuote(quote.id);
+    }
+  };
+  
+  actions.appendChild(favoriteButton);
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+  
+  item.appendChild(details);
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * Replaces a list row with inline inputs for editing the quote
+ * @param {HTMLLIElement} item - The row being edited
+ * @param {Object} quote - Quote being edited
+ */
+function showQuoteEditor(item, quote) {
+  item.innerHTML = '';
+  item.classList.add('editing');
+  
+  const textInput = document.createElement('input');
+  textInput.type = 'text';
+  textInput.value = quote.text;
+  textInput.setAttribute('aria-label', 'Edit quote text');
+  
+  const categoryInput = document.createElement('input');
+  categoryInput.type = 'text';
+  categoryInput.value = quote.category;
+  categoryInput.setAttribute('aria-label', 'Edit quote category');
+  
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.value = (quote.tags || []).join(', ');
+  tagsInput.placeholder = 'Tags, separated by commas';
+  tagsInput.setAttribute('aria-label', 'Edit quote tags');
+  
+  const authorInput = document.createElement('input');
+  authorInput.type = 'text';
+  authorInput.value = quote.author || '';
+  authorInput.placeholder = 'Author';
+  authorInput.setAttribute('aria-label', 'Edit quote author');
+  
+  const sourceInput = document.createElement('input');
+  sourceInput.type = 'text';
+  sourceInput.value = quote.source || '';
+  sourceInput.placeholder = 'Source: book, talk or URL';
+  sourceInput.setAttribute('aria-label', 'Edit quote source');
+  
+  const yearInput = document.createElement('input');
+  yearInput.type = 'number';
+  yearInput.value = quote.year ?? '';
+  yearInput.placeholder = 'Year';
+  yearInput.setAttribute('aria-label', 'Edit quote year');
+  
+  const weightInput = document.createElement('input');
+  weightInput.type = 'number';
+  weightInput.min = MIN_QUOTE_WEIGHT;
+  weightInput.max = MAX_QUOTE_WEIGHT;
+  weightInput.value = getAssignedWeight(quote);
+  weightInput.title = `Weight in weighted rotation (${FAVORITE_WEIGHT_MULTIPLIER}× for favorites)`;
+  weightInput.setAttribute('aria-label', 'Edit quote weight');
+  
+  const saveButton = document.createElement('button');
+  saveButton.textContent = 'Save';
+  saveButton.onclick = () => {
+    updateQuote(quote.id, {
+      text: textInput.value,
+      category: categoryInput.value,
+      tags: parseTags(tagsInput.value),
+      author: authorInput.value,
+      source: sourceInput.value,
+      year: yearInput.value,
+      weight: Number(weightInput.value)
+    });
+  };
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.className = 'secondary';
+  cancelButton.onclick = renderQuoteList;
+  
+  const actions = document.createElement('div');
+  actions.className = 'quote-list-actions';
+  actions.appendChild(saveButton);
+  actions.appendChild(cancelButton);
+  
+  item.appendChild(textInput);
+  item.appendChild(categoryInput);
+  item.appendChild(tagsInput);
+  item.appendChild(authorInput);
+  item.appendChild(sourceInput);
+  item.appendChild(yearInput);
+  item.appendChild(weightInput);
+  item.appendChild(actions);
+  textInput.focus();
+}
+
+/**
+ * Updates and displays statistics about the quote collection
+ */
+function updateStats() {
+  const statsDiv = document.getElementById('stats');
+  const categoryCount = new Set(quotes.map(q => q.category)).size;
+  
+  statsDiv.innerHTML = `
+    <strong>Total Quotes:</strong> ${quotes.length} | 
+    <strong>Categories:</strong> ${categoryCount}
+  `;
+  
+  renderStatsDashboard();
+}
+
+/**
+ * Exports quotes in the format chosen next to the export button
+ * Uses Blob and URL.createObjectURL for file download
+ */
+async function exportQuotes() {
+  if (quotes.length === 0) {
+    alert('No quotes to export!');
+    return;
+  }
+  
+  const formatName = document.getElementById('exportFormat').value;
+  const format = QUOTE_FILE_FORMATS[formatName] || QUOTE_FILE_FORMATS.json;
+  
+  try {
+    const content = await format.serialize(quotes);
+    downloadFile(
+      content,
+      format.mimeType,
+      `quotes-backup-${new Date().toISOString().split('T')[0]}.${format.extension}`
+    );
+    
+    showNotification(`Quotes exported as ${format.label}!`);
+    console.log('Exported', quotes.length, 'quotes as', formatName);
+  } catch (error) {
+    console.error('Error exporting quotes:', error);
+    alert('Error exporting quotes. Please try again.');
+  }
+}
+
+/**
+ * Offers text content as a file download
+ * @param {string} content - File content
+ * @param {string} mimeType - e.g. 'application/json'
+ * @param {string} fileName - Suggested file name
+ */
+function downloadFile(content, mimeType, fileName) {
+  // Create a Blob from the content
+  const blob = new Blob([content], { type: mimeType });
+  
+  // Create a download URL
+  const url = URL.createObjectURL(blob);
+  
+  // Create a temporary anchor element for download
+  const downloadLink = document.createElement('a');
+  downloadLink.href = url;
+  downloadLink.download = fileName;
+  
+  // Trigger download
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  
+  // Clean up
+  document.body.removeChild(downloadLink);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Imports quotes from a JSON, CSV, Markdown or plain-text file
+ * The format comes from the file extension, or from the content if the
+ * extension is unknown
+ */
+async function importFromFile(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  try {
+    const content = await readFileAsText(file);
+    const formatName = detectQuoteFileFormat(file.name, content);
+    const parsed = await QUOTE_FILE_FORMATS[formatName].parse(content);
+    
+    // Cancelled, e.g. in the CSV column mapping step
+    if (parsed) {
+      console.log('Importing', file.name, 'as', formatName);
+      const { quotes: importedQuotes, settings } = Array.isArray(parsed) ? { quotes: parsed } : parsed;
+      const imported = await importQuotes(importedQuotes, { fileName: file.name, format: formatName });
+      
+      if (imported && settings && confirm('This file also contains settings (filter, presets, auto-sync). Restore them too?')) {
+        applyExportedSettings(settings);
+      }
+    }
+  } catch (error) {
+    console.error('Error importing quotes:', error);
+    alert(`Error importing quotes: ${error.message}`);
+  }
+  
+  // Reset file input
+  event.target.value = '';
+}
+
+/**
+ * Reads a file's content as text
+ * @returns {Promise<string>}
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = e => resolve(e.target.result);
+    fileReader.onerror = () => reject(new Error('Could not read the file. Please try again.'));
+    fileReader.readAsText(file);
+  });
+}
+
+/**
+ * Checks parsed quotes and lets the user pick which to import
+ * The preview decides whether the selection replaces the existing quotes or
+ * is merged with them
+ * @param {Array} importedQuotes - Quote objects parsed from a file
+ * @param {Object} source - { fileName, format } for the import report
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function importQuotes(importedQuotes, source) {
+  // Validate imported data
+  if (!Array.isArray(importedQuotes)) {
+    throw new Error('Invalid format: Expected an array of quotes');
+  }
+  
+  if (importedQuotes.length === 0) {
+    throw new Error('No quotes found in the file');
+  }
+  
+  const rows = classifyImportRows(importedQuotes);
+  const decision = await showImportPreview(rows, source.fileName);
+  
+  if (!decision) {
+    console.log('Import cancelled');
+    return false;
+  }
+  
+  const selectedRows = rows.filter(row => decision.selected.has(row.index));
+  
+  if (decision.action === 'replace') {
+    await takeSnapshot('Before import (replace)');
+  }
+  
+  const before = snapshotQuotes();
+  
+  if (decision.action === 'replace') {
+    // Imported quotes keep their IDs unless missing or already used by an
+    // earlier imported row; the quotes being replaced don't count, so
+    // restoring a backup keeps every quote's ID
+    const usedIds = new Set();
+    const replacement = selectedRows.map(row => {
+      if (usedIds.has(row.quote.id)) {
+        delete row.quote.id;
+      }
+      ensureQuoteMetadata([row.quote]);
+      usedIds.add(row.quote.id);
+      row.outcome = 'added';
+      return row.quote;
+    });
+    
+    // Quotes that keep their ID are updated rather than deleted and re-added,
+    // and keep this device's view statistics
+    const operations = quotes
+      .filter(quote => !usedIds.has(quote.id))
+      .map(quote => ({ type: 'delete', quote }));
+    replacement.forEach(quote => {
+      const existing = findQuoteById(quote.id);
+      if (!existing) {
+        operations.push({ type: 'add', quote });
+        return;
+      }
+      
+      copyViewStats(existing, quote);
+      if (quotesDiffer(existing, quote)) {
+        quote.updatedAt = Date.now();
+        operations.push({ type: 'update', quote });
+      }
+    });
+    
+    enqueueOperations(operations);
+    quotes = replacement;
+    const change = recordHistory('Import (replace)', before);
+    showNotification(`Replaced with ${replacement.length} imported quotes!`, undoAction(change));
+  } else {
+    const usedIds = new Set(quotes.map(q => q.id));
+    const operations = [];
+    let addedCount = 0;
+    let updatedCount = 0;
+    
+    selectedRows.forEach(row => {
+      const existing = row.status === 'conflict' ? findQuoteById(row.existingId) : null;
+      
+      if (existing) {
+        // A chosen conflicting row overwrites the quote it conflicts with
+        existing.text = row.quote.text;
+        existing.category = row.quote.category;
+        existing.tags = row.quote.tags;
+        setAttribution(existing, normalizeAttribution(row.quote));
+        existing.updatedAt = Date.now();
+        operations.push({ type: 'update', quote: existing });
+        row.outcome = 'updated';
+        updatedCount++;
+      } else {
+        if (usedIds.has(row.quote.id)) {
+          delete row.quote.id;
+        }
+        ensureQuoteMetadata([row.quote]);
+        usedIds.add(row.quote.id);
+        quotes.push(row.quote);
+        operations.push({ type: 'add', quote: row.quote });
+        row.outcome = 'added';
+        addedCount++;
+      }
+    });
+    enqueueOperations(operations);
+    
+    const change = recordHistory('Import (merge)', before);
+    showNotification(
+      `Added ${addedCount} new and updated ${updatedCount} existing quotes! (${rows.length - selectedRows.length} skipped)`,
+      undoAction(change)
+    );
+  }
+  
+  // Save to IndexedDB
+  await saveQuotes();
+  syncSearchIndex();
+  
+  // Update UI - repopulate categories in case new ones were added
+  refreshAfterQuoteChange();
+  updateStats();
+  updateFilteredStats();
+  showRandomQuote();
+  
+  showImportReport(createImportReport(rows, decision.action, source));
+  console.log('Import successful:', selectedRows.length, 'of', rows.length, 'rows imported');
+  return true;
+}
+
+/**
+ * Shows a temporary notification message
+ * Demonstrates creating and removing DOM elements dynamically
+ * @param {string} message - Text to show
+ * @param {Object} [action] - Optional button, e.g. { label: 'Undo', onClick };
+ *   a historyId ties it to an undoable change, see undoAction()
+ */
+function showNotification(message, action) {
+  // Create notification element
+  const notification = document.createElement('div');
+  notification.textContent = message;
+  notification.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    background: #4CAF50;
+    color: white;
+    padding: 15px 25px;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    z-index: 1000;
+    animation: slideIn 0.3s ease;
+    max-width: 300px;
+  `;
+  
+  const dismiss = () => {
+    notification.style.animation = 'slideOut 0.3s ease';
+    setTimeout(() => {
+      if (notification.parentNode) {
+        document.body.removeChild(notification);
+      }
+    }, 300);
+  };
+  
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'notification-action';
+    button.textContent = action.label;
+    if (action.historyId) {
+      button.dataset.historyId = action.historyId;
+    }
+    button.onclick = () => {
+      dismiss();
+      action.onClick();
+    };
+    notification.appendChild(button);
+  }
+  
+  document.body.appendChild(notification);
+  
+  // Remove notification after 3 seconds, or 6 if it offers an action
+  setTimeout(dismiss, action ? 6000 : 3000);
+}
+
+// Add CSS animations dynamically
+const style = document.createElement('style');
+style.textContent = `
+  @keyframes slideIn {
+    from {
+      transform: translateX(400px);
+      opacity: 0;
+    }
+    to {
+      transform: translateX(0);
+      opacity: 1;
+    }
+  }
+  
+  @keyframes slideOut {
+    from {
+      transform: translateX(0);
+      opacity: 1;
+    }
+    to {
+      transform: translateX(400px);
+      opacity: 0;
+    }
+  }
+`;
+document.head.appendChild(style);
+
+// ============================================
+// QUOTE FILE FORMATS
+// ============================================
+
+/**
+ * File formats quotes can be exported to and imported from
+ * Each format turns the quote list into text and back (either may be async);
+ * parse() returns the raw quotes for importQuotes() to validate - or, for
+ * JSON, an export envelope holding them - or null if the user cancelled
+ */
+const QUOTE_FILE_FORMATS = {
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: serializeJsonExport,
+    parse: parseJsonExport
+  },
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: serializeCsvQuotes,
+    parse: parseCsvQuotes
+  },
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: serializeMarkdownQuotes,
+    parse: parseMarkdownQuotes
+  },
+  text: {
+    label: 'plain text',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    serialize: serializeTextQuotes,
+    parse: parseTextQuotes
+  }
+};
+
+// File extensions recognised on import
+const QUOTE_FILE_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  tsv: 'csv',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  text: 'text'
+};
+
+// Quote fields written to CSV, in column order
+const CSV_QUOTE_FIELDS = ['text', 'category', 'tags', 'author', 'source', 'year', 'favorite', 'rating'];
+
+// Separators accepted between a quote and its attribution in text formats
+const ATTRIBUTION_SEPARATOR = /\s+(?:—|--)\s+/;
+
+/**
+ * Works out the format of an imported file
+ * @param {string} fileName - Used when its extension is known
+ * @param {string} content - Sniffed otherwise
+ * @returns {string} Key of QUOTE_FILE_FORMATS
+ */
+function detectQuoteFileFormat(fileName, content) {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  if (QUOTE_FILE_EXTENSIONS[extension]) {
+    return QUOTE_FILE_EXTENSIONS[extension];
+  }
+  
+  const trimmed = content.trim();
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+  
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'json';
+  }
+  if (lines.some(line => line.startsWith('>'))) {
+    return 'markdown';
+  }
+  if (lines.length > 0 && lines.every(line => ATTRIBUTION_SEPARATOR.test(line))) {
+    return 'text';
+  }
+  
+  // Rows with the same number of delimited cells look like CSV
+  try {
+    const rows = parseCsv(trimmed);
+    if (rows.length > 1 && rows[0].length > 1 && rows.every(row => row.length === rows[0].length)) {
+      return 'csv';
+    }
+  } catch (error) {
+    // Unbalanced quotes - not CSV
+  }
+  
+  return 'text';
+}
+
+/**
+ * Steps that upgrade a JSON export to the next format version
+ * Version 1 is the bare array of quotes written before exports were
+ * versioned; EXPORT_UPGRADES[n - 1] turns version n into version n + 1
+ */
+const EXPORT_UPGRADES = [
+  // 1 → 2: wrap the bare array in an envelope
+  quotesArray => ({
+    format: EXPORT_FORMAT_NAME,
+    version: 2,
+    exportedAt: null,
+    count: quotesArray.length,
+    checksum: null,
+    quotes: quotesArray
+  })
+];
+
+// Identifies the app's JSON exports
+const EXPORT_FORMAT_NAME = 'dynamic-quotes';
+const EXPORT_VERSION = EXPORT_UPGRADES.length + 1;
+
+/**
+ * Computes the SHA-256 checksum of the exported quotes as hex
+ * @param {Array} list - Quotes, as written to the file
+ * @returns {Promise<string>}
+ */
+async function computeQuotesChecksum(list) {
+  const data = new TextEncoder().encode(JSON.stringify(list));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Collects the settings that can travel with an export
+ */
+function getExportableSettings() {
+  return {
+    activeFilter: normalizeFilter(activeFilter),
+    filterPresets: getFilterPresets(),
+    autoSyncEnabled
+  };
+}
+
+/**
+ * Applies settings restored from an export
+ * Anything missing from the file is left as it is
+ */
+function applyExportedSettings(settings) {
+  if (Array.isArray(settings.filterPresets)) {
+    setSetting(FILTER_PRESETS_KEY, settings.filterPresets
+      .filter(preset => preset && typeof preset.name === 'string' && preset.filter)
+      .map(preset => ({ id: preset.id || generateQuoteId(), name: preset.name, filter: normalizeFilter(preset.filter) })));
+    renderFilterPresets();
+  }
+  
+  if (settings.activeFilter) {
+    setActiveFilter(settings.activeFilter);
+  }
+  
+  if (typeof settings.autoSyncEnabled === 'boolean' && settings.autoSyncEnabled !== autoSyncEnabled) {
+    toggleAutoSync();
+  }
+  
+  console.log('Restored settings from export');
+}
+
+/**
+ * Writes quotes in a versioned envelope with a checksum
+ * Settings are included when the export option is ticked
+ */
+async function serializeJsonExport(list) {
+  const envelope = {
+    format: EXPORT_FORMAT_NAME,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    count: list.length,
+    checksum: await computeQuotesChecksum(list),
+    quotes: list
+  };
+  
+  if (document.getElementById('exportIncludeSettings').checked) {
+    envelope.settings = getExportableSettings();
+  }
+  
+  return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Reads a JSON export, upgrading older versions to the current envelope
+ * Bare arrays from before versioning are accepted as version 1
+ * @returns {Promise<Object|null>} The envelope, or null if the user declined
+ *   to import a file whose checksum doesn't match
+ */
+async function parseJsonExport(content) {
+  let data = JSON.parse(content);
+  let version;
+  
+  if (Array.isArray(data)) {
+    version = 1;
+  } else if (data && data.format === EXPORT_FORMAT_NAME && Number.isInteger(data.version) && data.version >= 2) {
+    version = data.version;
+  } else {
+    throw new Error('Invalid format: Expected an array of quotes or a quotes export');
+  }
+  
+  if (version > EXPORT_VERSION) {
+    throw new Error(`This file was exported by a newer version of the app (format version ${version})`);
+  }
+  
+  for (let v = version; v < EXPORT_VERSION; v++) {
+    data = EXPORT_UPGRADES[v - 1](data);
+    console.log('Upgraded export from version', v, 'to', v + 1);
+  }
+  
+  if (!Array.isArray(data.quotes)) {
+    throw new Error('Invalid format: The export has no list of quotes');
+  }
+  
+  // Upgraded legacy files have no checksum to verify
+  if (data.checksum) {
+    const checksum = await computeQuotesChecksum(data.quotes);
+    const countMatches = data.count === undefined || data.count === data.quotes.length;
+    
+    if ((checksum !== data.checksum || !countMatches) &&
+        !confirm('This file\'s checksum doesn\'t match its quotes - it may be damaged or edited by hand.\n\nImport it anyway?')) {
+      return null;
+    }
+  }
+  
+  return data;
+}
+
+/**
+ * Quotes a CSV cell if it contains the delimiter, quotes or line breaks
+ * Text that a spreadsheet would run as a formula gets a leading apostrophe;
+ * plain numbers such as negative years are left alone
+ */
+function escapeCsvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Removes the apostrophe escapeCsvCell() puts before formula-like text
+ * Only for this app's exports (see isCsvQuoteExport()); elsewhere the
+ * apostrophe may be part of the quote
+ */
+function unescapeCsvCell(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Tells whether CSV rows start with the header serializeCsvQuotes() writes,
+ * which marks the file as this app's export
+ */
+function isCsvQuoteExport(rows) {
+  return rows.length > 0 && rows[0].join(',') === CSV_QUOTE_FIELDS.join(',');
+}
+
+/**
+ * Writes quotes as CSV with a header row
+ * Tags share one cell, separated by commas
+ */
+function serializeCsvQuotes(list) {
+  const rows = list.map(quote => CSV_QUOTE_FIELDS.map(field => {
+    return escapeCsvCell(field === 'tags' ? (quote.tags || []).join(', ') : quote[field]);
+  }).join(','));
+  
+  return [CSV_QUOTE_FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Guesses the cell delimiter from the first line: comma, semicolon or tab
+ */
+function detectCsvDelimiter(content) {
+  const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * Splits CSV content into rows of cells
+ * Handles quoted cells with embedded delimiters, doubled quotes and line breaks
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+function parseCsv(content) {
+  const delimiter = detectCsvDelimiter(content);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (inQuotes) {
+    throw new Error('Invalid CSV: a quoted cell is never closed');
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV content into quotes after the user maps columns to fields
+ * @returns {Promise<Array|null>} Quotes, or null if the mapping was cancelled
+ */
+async function parseCsvQuotes(content) {
+  const rows = parseCsv(content);
+  
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+  
+  const choice = await showColumnMappingDialog(rows);
+  if (!choice) {
+    return null;
+  }
+  
+  return csvRowsToQuotes(rows, choice);
+}
+
+/**
+ * Turns parsed CSV rows into quotes using a column mapping
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @param {Object} choice - { mapping, hasHeader } from showColumnMappingDialog()
+ * @returns {Array} Quotes
+ */
+function csvRowsToQuotes(rows, choice) {
+  const dataRows = choice.hasHeader ? rows.slice(1) : rows;
+  const unescape = choice.hasHeader && isCsvQuoteExport(rows);
+  
+  return dataRows.map(row => {
+    const quote = {};
+    Object.entries(choice.mapping).forEach(([field, column]) => {
+      const cell = (row[column] || '').trim();
+      const value = unescape ? unescapeCsvCell(cell) : cell;
+      if (field === 'tags') {
+        quote.tags = parseTags(value);
+      } else if (value !== '' || field === 'text' || field === 'category') {
+        quote[field] = value;
+      }
+    });
+    return quote;
+  });
+}
+
+/**
+ * Guesses which CSV column holds each quote field from the header row
+ * @returns {Object} Field name → column index
+ */
+function guessColumnMapping(header) {
+  const aliases = {
+    text: ['text', 'quote', 'quotation'],
+    category: ['category', 'categories', 'topic'],
+    tags: ['tags', 'tag', 'keywords'],
+    author: ['author', 'by', 'speaker'],
+    source: ['source', 'book', 'reference', 'url'],
+    year: ['year', 'date'],
+    favorite: ['favorite', 'favourite', 'starred'],
+    rating: ['rating', 'stars']
+  };
+  const names = header.map(name => name.trim().toLowerCase());
+  const mapping = {};
+  
+  CSV_QUOTE_FIELDS.forEach(field => {
+    const column = names.findIndex(name => aliases[field].includes(name));
+    if (column !== -1) {
+      mapping[field] = column;
+    }
+  });
+  
+  return mapping;
+}
+
+/**
+ * Asks which CSV column holds each quote field
+ * Shows the first rows so the user can check the mapping
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Promise<Object|null>} { mapping, hasHeader }, or null if cancelled
+ */
+function showColumnMappingDialog(rows) {
+  const dialog = document.getElementById('columnMappingDialog');
+  const fieldsContainer = document.getElementById('columnMappingFields');
+  const preview = document.getElementById('columnMappingPreview');
+  const headerCheckbox = document.getElementById('csvHasHeader');
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const guessed = guessColumnMapping(rows[0]);
+  
+  // A header row is assumed when it names at least the text column
+  headerCheckbox.checked = guessed.text !== undefined;
+  const initialMapping = headerCheckbox.checked ? guessed : { text: 0, category: 1 };
+  
+  const columnLabel = index => {
+    const name = headerCheckbox.checked ? (rows[0][index] || '').trim() : '';
+    return name ? `Column ${index + 1}: ${name}` : `Column ${index + 1}`;
+  };
+  
+  // One dropdown per quote field
+  fieldsContainer.innerHTML = '';
+  const selects = {};
+  
+  CSV_QUOTE_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'column-mapping-field';
+    label.textContent = field.charAt(0).toUpperCase() + field.slice(1);
+    
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    
+    label.appendChild(select);
+    fieldsContainer.appendChild(label);
+    selects[field] = select;
+  });
+  
+  const renderOptions = () => {
+    Object.entries(selects).forEach(([field, select]) => {
+      const current = select.options.length > 0 ? select.value : String(initialMapping[field] ?? '');
+      select.innerHTML = '<option value="">Not imported</option>';
+      
+      for (let index = 0; index < columnCount; index++) {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = columnLabel(index);
+        select.appendChild(option);
+      }
+      select.value = current;
+    });
+  };
+  
+  const renderPreview = () => {
+    preview.innerHTML = '';
+    const sampleRows = (headerCheckbox.checked ? rows.slice(1) : rows).slice(0, 3);
+    
+    sampleRows.forEach(row => {
+      const item = document.createElement('li');
+      item.textContent = CSV_QUOTE_FIELDS
+        .filter(field => selects[field].value !== '')
+        .map(field => `${field}: ${row[selects[field].value] || ''}`)
+        .join(' | ');
+      preview.appendChild(item);
+    });
+  };
+  
+  renderOptions();
+  renderPreview();
+  
+  return new Promise(resolve => {
+    const finish = result => {
+      dialog.style.display = 'none';
+      fieldsContainer.onchange = null;
+      headerCheckbox.onchange = null;
+      document.getElementById('applyColumnMapping').onclick = null;
+      document.getElementById('cancelColumnMapping').onclick = null;
+      resolve(result);
+    };
+    
+    fieldsContainer.onchange = renderPreview;
+    headerCheckbox.onchange = () => {
+      renderOptions();
+      renderPreview();
+    };
+    
+    document.getElementById('applyColumnMapping').onclick = () => {
+      const mapping = {};
+      Object.entries(selects).forEach(([field, select]) => {
+        if (select.value !== '') {
+          mapping[field] = Number(select.value);
+        }
+      });
+      
+      if (mapping.text === undefined || mapping.category === undefined) {
+        alert('Please choose the columns holding the quote text and category!');
+        return;
+      }
+      
+      finish({ mapping, hasHeader: headerCheckbox.checked });
+    };
+    document.getElementById('cancelColumnMapping').onclick = () => finish(null);
+    
+    dialog.style.display = 'flex';
+  });
+}
+
+/**
+ * Formats the attribution line used by the text formats
+ * e.g. "Seneca, Letters (65) · Wisdom", or just "Wisdom"
+ */
+function formatAttributionLine(quote) {
+  const attribution = [quote.author, quote.source].filter(Boolean).join(', ');
+  const year = quote.year !== undefined ? ` (${quote.year})` : '';
+  const tags = quote.tags && quote.tags.length > 0 ? ` ${formatTags(quote.tags)}` : '';
+  
+  return attribution || year
+    ? `${attribution}${year} · ${quote.category}${tags}`
+    : `${quote.category}${tags}`;
+}
+
+/**
+ * Reads an attribution line written by formatAttributionLine()
+ * @returns {Object} { category, tags, author?, source?, year? }
+ */
+function parseAttributionLine(line) {
+  const quote = {};
+  let rest = line.trim();
+  
+  // Category and tags come last, after the author part if there is one
+  const separator = rest.lastIndexOf(' · ');
+  let categoryPart = separator === -1 ? rest : rest.slice(separator + 3);
+  rest = separator === -1 ? '' : rest.slice(0, separator);
+  
+  const tagMatch = categoryPart.match(/(?:\s+#[^\s#]+)+$/);
+  if (tagMatch) {
+    quote.tags = parseTags(tagMatch[0].split(/\s+/).join(','));
+    categoryPart = categoryPart.slice(0, tagMatch.index);
+  }
+  quote.category = categoryPart.trim();
+  
+  const yearMatch = rest.match(/\s*\((-?\d+)\)$/);
+  if (yearMatch) {
+    quote.year = Number(yearMatch[1]);
+    rest = rest.slice(0, yearMatch.index);
+  }
+  
+  if (rest) {
+    const comma = rest.indexOf(', ');
+    quote.author = comma === -1 ? rest : rest.slice(0, comma);
+    if (comma !== -1) {
+      quote.source = rest.slice(comma + 2);
+    }
+  }
+  
+  return quote;
+}
+
+/**
+ * Writes quotes as Markdown, one blockquote per quote
+ */
+function serializeMarkdownQuotes(list) {
+  const blocks = list.map(quote => {
+    const textLines = quote.text.split(/\r?\n/).map(line => `> ${line}`);
+    return [...textLines, '>', `> — ${formatAttributionLine(quote)}`].join('\n');
+  });
+  
+  return `# Quotes\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Reads quotes from Markdown blockquotes
+ * The last line of each blockquote is taken as the attribution if it starts
+ * with a dash; text outside blockquotes is ignored
+ */
+function parseMarkdownQuotes(content) {
+  const blocks = [];
+  let current = null;
+  
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*>\s?(.*)$/);
+    if (match) {
+      current = current || [];
+      current.push(match[1]);
+    } else if (current) {
+      blocks.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    blocks.push(current);
+  }
+  
+  if (blocks.length === 0) {
+    throw new Error('No blockquotes found in the Markdown file');
+  }
+  
+  return blocks.map(lines => {
+    const attributionMatch = lines[lines.length - 1].match(/^\s*(?:—|--|-)\s+(.*)$/);
+    const textLines = attributionMatch ? lines.slice(0, -1) : lines;
+    
+    return {
+      text: textLines.join('\n').trim(),
+      ...(attributionMatch ? parseAttributionLine(attributionMatch[1]) : { category: '' })
+    };
+  });
+}
+
+/**
+ * Writes quotes as plain text, one "text — category" line per quote
+ */
+function serializeTextQuotes(list) {
+  return list.map(quote => `${quote.text.replace(/\s*\r?\n\s*/g, ' ')} — ${quote.category}`).join('\n') + '\n';
+}
+
+/**
+ * Reads "text — category" lines; "--" also works as the separator
+ * Lines without a category are kept so they are reported as invalid
+ */
+function parseTextQuotes(content) {
+  return content.split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const parts = line.split(ATTRIBUTION_SEPARATOR);
+      if (parts.length < 2) {
+        return { text: line.trim(), category: '' };
+      }
+      
+      const category = parts.pop();
+      return { text: parts.join(' — ').trim(), category: category.trim() };
+    });
+}
+
+// ============================================
+// IMPORT PREVIEW
+// ============================================
+
+// Labels for the status of an imported row
+const IMPORT_STATUS_LABELS = {
+  new: 'New',
+  duplicate: 'Duplicate',
+  similar: 'Similar',
+  conflict: 'Conflict',
+  invalid: 'Invalid'
+};
+
+// Summary of the last import, offered as a download
+let lastImportReport = null;
+
+/**
+ * Checks one imported quote
+ * @returns {string|null} Why the quote can't be imported, or null if valid
+ */
+function validateImportedQuote(quote) {
+  if (!quote || typeof quote !== 'object' || Array.isArray(quote)) {
+    return 'Not a quote object';
+  }
+  if (typeof quote.text !== 'string' || quote.text.trim() === '') {
+    return 'Missing quote text';
+  }
+  if (typeof quote.category !== 'string' || quote.category.trim() === '') {
+    return 'Missing category';
+  }
+  if (quote.tags !== undefined && !Array.isArray(quote.tags)) {
+    return 'Tags must be a list';
+  }
+  if (quote.author !== undefined && typeof quote.author !== 'string') {
+    return 'Author must be text';
+  }
+  if (quote.source !== undefined && typeof quote.source !== 'string') {
+    return 'Source must be text';
+  }
+  
+  const { rating } = normalizeFeedback(quote);
+  const error = validateTags(normalizeTags(quote.tags)) ||
+    validateAttribution(normalizeAttribution(quote)) ||
+    (quote.weight !== undefined ? validateWeight(quote.weight) : null) ||
+    (rating !== undefined ? validateRating(rating) : null);
+  return error ? error.replace(/!$/, '') : null;
+}
+
+/**
+ * Sorts imported quotes into new, duplicate, similar, conflicting and invalid rows
+ *   duplicate: same text, category and author as an existing quote, or the
+ *              same text as an earlier row (ignoring case and punctuation)
+ *   similar:   nearly the same text as an existing or earlier quote
+ *   conflict:  same ID or same text as an existing quote, but different content
+ * @param {Array} importedQuotes - Quote objects parsed from a file
+ * @returns {Array} Rows of { index, status, reason, quote, existingId }
+ */
+function classifyImportRows(importedQuotes) {
+  const localByKey = new Map(quotes.map(q => [quoteDuplicateKey(q), q]));
+  const fileKeys = new Set();
+  const fileQuotes = [];
+  // Earlier rows are added as they are classified
+  const similarityIndex = createSimilarityIndex(quotes);
+  
+  return importedQuotes.map((raw, index) => {
+    const row = { index, status: 'new', reason: '', quote: null, existingId: null };
+    
+    const error = validateImportedQuote(raw);
+    if (error) {
+      row.status = 'invalid';
+      row.reason = error;
+      row.quote = raw && typeof raw === 'object' ? raw : { text: String(raw) };
+      return row;
+    }
+    
+    const quote = { ...raw, text: raw.text.trim(), category: raw.category.trim(), tags: normalizeTags(raw.tags) };
+    setAttribution(quote, normalizeAttribution(raw));
+    setFeedback(quote, normalizeFeedback(raw));
+    row.quote = quote;
+    
+    const key = quoteDuplicateKey(quote);
+    const sameId = quote.id !== undefined ? findQuoteById(quote.id) : null;
+    const sameText = localByKey.get(key);
+    const similar = sameText || fileKeys.has(key) ? null : similarityIndex.findSimilar(quote);
+    
+    if (sameText && sameAttribution(sameText, quote)) {
+      row.status = 'duplicate';
+      row.reason = 'Already in your collection';
+    } else if (fileKeys.has(key)) {
+      row.status = 'duplicate';
+      row.reason = 'Repeated earlier in the file';
+    } else if (sameId && quotesDiffer(sameId, quote)) {
+      row.status = 'conflict';
+      row.reason = 'Same ID as an existing quote with different content';
+      row.existingId = sameId.id;
+    } else if (sameText) {
+      row.status = 'conflict';
+      row.reason = `Same text as an existing quote in ${sameText.category}`;
+      row.existingId = sameText.id;
+    } else if (similar) {
+      const inFile = fileQuotes.includes(similar.quote);
+      row.status = 'similar';
+      row.reason = `${Math.round(similar.similarity * 100)}% alike ${inFile ? 'an earlier row' : 'an existing quote'}: ` +
+        `"${similar.quote.text}"`;
+      row.existingId = inFile ? null : similar.quote.id;
+    }
+    
+    fileKeys.add(key);
+    fileQuotes.push(quote);
+    similarityIndex.add(quote);
+    return row;
+  });
+}
+
+/**
+ * Shows the import preview and waits for the user's decision
+ * New rows start selected; duplicates and conflicts have to be opted in
+ * @param {Array} rows - Rows from classifyImportRows()
+ * @param {string} fileName - Shown in the dialog title
+ * @returns {Promise<Object|null>} { action, selected } or null if cancelled
+ */
+function showImportPreview(rows, fileName) {
+  const dialog = document.getElementById('importPreviewDialog');
+  const list = document.getElementById('importPreviewList');
+  const selectAll = document.getElementById('importSelectAll');
+  const selected = new Set(rows.filter(row => row.status === 'new').map(row => row.index));
+  const selectable = rows.filter(row => row.status !== 'invalid');
+  
+  document.getElementById('importPreviewFile').textContent = fileName;
+  
+  const updateSummary = () => {
+    const counts = Object.keys(IMPORT_STATUS_LABELS)
+      .map(status => [status, rows.filter(row => row.status === status).length])
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => `${count} ${IMPORT_STATUS_LABELS[status].toLowerCase()}`);
+    
+    document.getElementById('importPreviewSummary').textContent =
+      `${rows.length} rows: ${counts.join(', ')}. ${selected.size} selected.`;
+    
+    selectAll.checked = selectable.length > 0 && selected.size === selectable.length;
+    selectAll.indeterminate = selected.size > 0 && selected.size < selectable.length;
+    
+    // Merging needs a selection; replacing with nothing would empty the collection
+    document.getElementById('mergeImport').disabled = selected.size === 0;
+    document.getElementById('replaceImport').disabled = selected.size === 0;
+  };
+  
+  list.innerHTML = '';
+  rows.forEach(row => {
+    list.appendChild(createImportPreviewRow(row, selected, updateSummary));
+  });
+  updateSummary();
+  
+  return new Promise(resolve => {
+    const finish = result => {
+      dialog.style.display = 'none';
+      selectAll.onchange = null;
+      ['mergeImport', 'replaceImport', 'cancelImport'].forEach(id => {
+        document.getElementById(id).onclick = null;
+      });
+      resolve(result);
+    };
+    
+    selectAll.onchange = () => {
+      selectable.forEach(row => {
+        if (selectAll.checked) {
+          selected.add(row.index);
+        } else {
+          selected.delete(row.index);
+        }
+      });
+      list.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach(checkbox => {
+        checkbox.checked = selectAll.checked;
+      });
+      updateSummary();
+    };
+    
+    document.getElementById('mergeImport').onclick = () => finish({ action: 'merge', selected });
+    document.getElementById('replaceImport').onclick = () => {
+      if (confirm(`Replace all ${quotes.length} existing quotes with the ${selected.size} selected?`)) {
+        finish({ action: 'replace', selected });
+      }
+    };
+    document.getElementById('cancelImport').onclick = () => finish(null);
+    
+    dialog.style.display = 'flex';
+  });
+}
+
+/**
+ * Creates one row of the import preview
+ * @param {Object} row - Row from classifyImportRows()
+ * @param {Set<number>} selected - Indexes of the selected rows, updated in place
+ * @param {Function} onChange - Called after the selection changes
+ * @returns {HTMLElement} The list item
+ */
+function createImportPreviewRow(row, selected, onChange) {
+  const item = document.createElement('li');
+  item.className = `quote-list-item import-row import-${row.status}`;
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = selected.has(row.index);
+  checkbox.disabled = row.status === 'invalid';
+  checkbox.setAttribute('aria-label', `Import row ${row.index + 1}`);
+  checkbox.onchange = () => {
+    if (checkbox.checked) {
+      selected.add(row.index);
+    } else {
+      selected.delete(row.index);
+    }
+    onChange();
+  };
+  
+  const status = document.createElement('span');
+  status.className = 'import-status';
+  status.textContent = IMPORT_STATUS_LABELS[row.status];
+  
+  const details = document.createElement('div');
+  details.className = 'quote-list-details';
+  
+  const text = document.createElement('span');
+  text.className = 'quote-list-text';
+  text.textContent = `${row.index + 1}. ${typeof row.quote.text === 'string' && row.quote.text ? row.quote.text : '(no text)'}`;
+  details.appendChild(text);
+  
+  if (row.status !== 'invalid') {
+    const meta = document.createElement('span');
+    meta.className = 'quote-list-category';
+    meta.textContent = [row.quote.category, formatAttribution(row.quote), formatTags(row.quote.tags)]
+      .filter(Boolean).join(' · ');
+    details.appendChild(meta);
+  }
+  
+  if (row.reason) {
+    const reason = document.createElement('span');
+    reason.className = 'import-reason';
+    reason.textContent = row.reason;
+    details.appendChild(reason);
+  }
+  
+  item.appendChild(checkbox);
+  item.appendChild(status);
+  item.appendChild(details);
+  return item;
+}
+
+/**
+ * Summarises an import for the downloadable report
+ * @param {Array} rows - Rows from classifyImportRows(), with their outcome
+ * @param {string} action - 'replace' or 'merge'
+ * @param {Object} source - { fileName, format }
+ * @returns {Object} The report
+ */
+function createImportReport(rows, action, source) {
+  const count = predicate => rows.filter(predicate).length;
+  
+  return {
+    importedAt: new Date().toISOString(),
+    fileName: source.fileName,
+    format: source.format,
+    action,
+    totals: {
+      rows: rows.length,
+      new: count(row => row.status === 'new'),
+      duplicate: count(row => row.status === 'duplicate'),
+      similar: count(row => row.status === 'similar'),
+      conflict: count(row => row.status === 'conflict'),
+      invalid: count(row => row.status === 'invalid'),
+      added: count(row => row.outcome === 'added'),
+      updated: count(row => row.outcome === 'updated'),
+      skipped: count(row => !row.outcome)
+    },
+    rows: rows.map(row => ({
+      row: row.index + 1,
+      status: row.status,
+      outcome: row.outcome || 'skipped',
+      reason: row.reason || undefined,
+      text: typeof row.quote.text === 'string' ? row.quote.text : undefined,
+      category: typeof row.quote.category === 'string' ? row.quote.category : undefined
+    }))
+  };
+}
+
+/**
+ * Shows the result of the last import with a link to download its report
+ */
+function showImportReport(report) {
+  lastImportReport = report;
+  
+  const { added, updated, skipped } = report.totals;
+  document.getElementById('importReportText').textContent =
+    `Last import (${report.fileName}): ${added} added, ${updated} updated, ${skipped} skipped.`;
+  document.getElementById('importReport').style.display = 'flex';
+}
+
+/**
+ * Downloads the report of the last import as JSON
+ */
+function downloadImportReport() {
+  if (!lastImportReport) {
+    return;
+  }
+  
+  const date = lastImportReport.importedAt.split('T')[0];
+  downloadFile(JSON.stringify(lastImportReport, null, 2), 'application/json', `import-report-${date}.json`);
+}
+
+// ============================================
+// QUOTE SOURCES
+// ============================================
+
+/**
+ * Kinds of source new quotes are read from
+ * fetch(source, options) resolves to { content, updates } - updates are
+ * stored with the source - or null if there is nothing new to read.
+ * parse(content, source) returns raw quotes (either may be async); a quote
+ * may carry a `guid` that identifies its item. isDue(source, now) says
+ * whether the source should be checked automatically
+ */
+const QUOTE_SOURCE_TYPES = {
+  feed: {
+    label: 'RSS/Atom feed',
+    describe: source => source.url,
+    fetch: fetchFeedSource,
+    parse: parseFeedQuotes,
+    isDue: (source, now) => navigator.onLine && now - (source.lastCheckedAt || 0) >= FEED_REFRESH_INTERVAL
+  },
+  file: {
+    label: 'Watched file',
+    describe: source => source.fileName,
+    fetch: readWatchedFile,
+    parse: parseWatchedFile,
+    // Failing files wait for Check Now, which may ask for permission again
+    isDue: source => getSourceFileHandle(source.id) !== null && !source.lastError
+  }
+};
+
+/**
+ * Sets up the quote sources panel and the automatic checks
+ */
+function initQuoteSources() {
+  const typeSelect = document.getElementById('sourceType');
+  Object.entries(QUOTE_SOURCE_TYPES).forEach(([value, sourceType]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = sourceType.label;
+    typeSelect.appendChild(option);
+  });
+  
+  document.getElementById('sourceFileHint').textContent = window.showOpenFilePicker
+    ? 'Changes to the file are picked up while this page is open.'
+    : 'This browser can\'t watch files: after changing the file, click Check Now and pick it again.';
+  
+  typeSelect.addEventListener('change', updateSourceFormVisibility);
+  document.getElementById('chooseSourceFile').addEventListener('click', chooseSourceFile);
+  document.getElementById('addSource').addEventListener('click', addQuoteSource);
+  
+  updateSourceFormVisibility();
+  renderQuoteSources();
+  
+  setInterval(checkQuoteSources, FILE_WATCH_INTERVAL);
+}
+
+/**
+ * Returns the configured quote sources
+ * @returns {Array} Sources of { id, type, name, category, ... }
+ */
+function getQuoteSources() {
+  return getSetting(QUOTE_SOURCES_KEY, []);
+}
+
+/**
+ * Stores changes to one quote source
+ * @param {string} sourceId
+ * @param {Object} changes - Fields to update
+ */
+function updateQuoteSource(sourceId, changes) {
+  setSetting(QUOTE_SOURCES_KEY, getQuoteSources().map(source =>
+    source.id === sourceId ? { ...source, ...changes } : source
+  ));
+  renderQuoteSources();
+}
+
+/**
+ * Returns the file handle of a watched file source
+ * Handles don't survive the other tabs' storage-event fallback, so anything
+ * that can't read a file counts as missing
+ * @returns {FileSystemFileHandle|null}
+ */
+function getSourceFileHandle(sourceId) {
+  const handle = getSetting(QUOTE_SOURCE_HANDLES_KEY, {})[sourceId];
+  return handle && typeof handle.getFile === 'function' ? handle : null;
+}
+
+/**
+ * Stores or removes the file handle of a watched file source
+ * @param {string} sourceId
+ * @param {FileSystemFileHandle|null} handle
+ */
+function setSourceFileHandle(sourceId, handle) {
+  const handles = { ...getSetting(QUOTE_SOURCE_HANDLES_KEY, {}) };
+  
+  if (handle) {
+    handles[sourceId] = handle;
+  } else {
+    delete handles[sourceId];
+  }
+  setSetting(QUOTE_SOURCE_HANDLES_KEY, handles);
+}
+
+/**
+ * Shows the quote sources with their state and actions
+ */
+function renderQuoteSources() {
+  const list = document.getElementById('quoteSourceList');
+  const sources = getQuoteSources();
+  
+  list.innerHTML = '';
+  
+  if (sources.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-quote';
+    empty.textContent = 'No sources yet.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  sources.forEach(source => {
+    const sourceType = QUOTE_SOURCE_TYPES[source.type];
+    const item = document.createElement('li');
+    item.className = 'quote-list-item';
+    
+    const details = document.createElement('div');
+    details.className = 'quote-list-details';
+    
+    const name = document.createElement('span');
+    name.className = 'quote-list-text';
+    name.textContent = `${source.name} (${sourceType.label})`;
+    
+    const meta = document.createElement('span');
+    meta.className = 'quote-list-category';
+    meta.textContent = `${sourceType.describe(source)} → ${source.category}`;
+    
+    const status = document.createElement('span');
+    status.className = source.lastError ? 'source-status source-error' : 'source-status';
+    if (source.lastError) {
+      status.textContent = source.lastError;
+    } else if (source.lastCheckedAt) {
+      status.textContent = `Checked ${new Date(source.lastCheckedAt).toLocaleString()} · ` +
+        `${source.addedCount} quote${source.addedCount === 1 ? '' : 's'} added`;
+    } else {
+      status.textContent = 'Not checked yet';
+    }
+    
+    details.appendChild(name);
+    details.appendChild(meta);
+    details.appendChild(status);
+    
+    const actions = document.createElement('div');
+    actions.className = 'quote-list-actions';
+    
+    const checkButton = document.createElement('button');
+    checkButton.textContent = 'Check Now';
+    checkButton.onclick = () => refreshQuoteSource(source.id, { manual: true });
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'danger';
+    removeButton.textContent = 'Remove';
+    removeButton.onclick = () => removeQuoteSource(source.id);
+    
+    actions.appendChild(checkButton);
+    actions.appendChild(removeButton);
+    item.appendChild(details);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Shows only the form fields of the selected kind of source
+ */
+function updateSourceFormVisibility() {
+  const type = document.getElementById('sourceType').value;
+  document.getElementById('feedSourceSettings').style.display = type === 'feed' ? 'block' : 'none';
+  document.getElementById('fileSourceSettings').style.display = type === 'file' ? 'block' : 'none';
+}
+
+/**
+ * Lets the user pick a quote file
+ * Uses the File System Access API where available, so the file can be
+ * read again later; otherwise a file input
+ * @returns {Promise<Object|null>} { file, handle }, or null if cancelled
+ */
+async function pickSourceFile() {
+  if (window.showOpenFilePicker) {
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        types: [{
+          description: 'Quote files',
+          accept: { 'text/plain': Object.keys(QUOTE_FILE_EXTENSIONS).map(extension => `.${extension}`) }
+        }]
+      });
+      return { file: await handle.getFile(), handle };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  const input = document.getElementById('sourceFileInput');
+  return new Promise(resolve => {
+    input.onchange = () => {
+      const file = input.files[0];
+      input.value = '';
+      resolve(file ? { file, handle: null } : null);
+    };
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+}
+
+/**
+ * Picks the file for a new watched file source
+ */
+async function chooseSourceFile() {
+  try {
+    const picked = await pickSourceFile();
+    if (picked) {
+      pendingSourceFile = picked;
+      document.getElementById('sourceFileName').textContent = picked.file.name;
+    }
+  } catch (error) {
+    console.error('Error choosing file:', error);
+    alert(`Could not open the file: ${error.message}`);
+  }
+}
+
+/**
+ * Adds a source from the form and reads it for the first time
+ */
+async function addQuoteSource() {
+  const type = document.getElementById('sourceType').value;
+  const category = document.getElementById('sourceCategory').value.trim();
+  const url = document.getElementById('sourceFeedUrl').value.trim();
+  
+  if (!category) {
+    alert('Please choose a category for the quotes from this source!');
+    return;
+  }
+  
+  if (type === 'feed' && !url) {
+    alert('Please enter the address of the feed!');
+    return;
+  }
+  
+  if (type === 'file' && !pendingSourceFile) {
+    alert('Please choose the file to watch!');
+    return;
+  }
+  
+  const source = {
+    id: generateQuoteId(),
+    type,
+    name: document.getElementById('sourceName').value.trim(),
+    category,
+    seen: [],
+    addedCount: 0,
+    lastCheckedAt: null,
+    lastError: null
+  };
+  
+  if (type === 'feed') {
+    source.url = url;
+    source.textFrom = document.getElementById('sourceTextFrom').value;
+  } else {
+    source.fileName = pendingSourceFile.file.name;
+    if (pendingSourceFile.handle) {
+      setSourceFileHandle(source.id, pendingSourceFile.handle);
+    }
+  }
+  source.name = source.name || QUOTE_SOURCE_TYPES[type].describe(source);
+  
+  const file = pendingSourceFile && type === 'file' ? pendingSourceFile.file : null;
+  
+  setSetting(QUOTE_SOURCES_KEY, [...getQuoteSources(), source]);
+  console.log('Quote source added:', source.name);
+  
+  // Clear the form
+  document.getElementById('sourceName').value = '';
+  document.getElementById('sourceFeedUrl').value = '';
+  document.getElementById('sourceFileName').textContent = 'No file chosen';
+  pendingSourceFile = null;
+  
+  renderQuoteSources();
+  await refreshQuoteSource(source.id, { manual: true, file });
+}
+
+/**
+ * Removes a source; the quotes it added stay
+ */
+function removeQuoteSource(sourceId) {
+  const source = getQuoteSources().find(s => s.id === sourceId);
+  
+  if (!source || !confirm(`Remove the source "${source.name}"? Quotes it added are kept.`)) {
+    return;
+  }
+  
+  setSetting(QUOTE_SOURCES_KEY, getQuoteSources().filter(s => s.id !== sourceId));
+  setSourceFileHandle(sourceId, null);
+  renderQuoteSources();
+  showNotification(`Removed source "${source.name}"`);
+}
+
+/**
+ * Checks the sources that are due
+ * Only the sync leader does, so open tabs don't add the same quotes twice
+ */
+function checkQuoteSources() {
+  if (!isSyncLeader || document.hidden) {
+    return;
+  }
+  
+  const now = Date.now();
+  getQuoteSources().forEach(source => {
+    const sourceType = QUOTE_SOURCE_TYPES[source.type];
+    if (sourceType && sourceType.isDue(source, now)) {
+      refreshQuoteSource(source.id);
+    }
+  });
+}
+
+/**
+ * Reads a source and adds the new quotes it has
+ * @param {string} sourceId
+ * @param {Object} [options]
+ * @param {boolean} [options.manual] - Started by the user: may ask for a
+ *   file or permission, and always reports the result
+ * @param {File} [options.file] - Already picked file of a file source
+ */
+async function refreshQuoteSource(sourceId, options = {}) {
+  const source = getQuoteSources().find(s => s.id === sourceId);
+  
+  if (!source || refreshingSources.has(sourceId)) {
+    return;
+  }
+  
+  const sourceType = QUOTE_SOURCE_TYPES[source.type];
+  refreshingSources.add(sourceId);
+  
+  try {
+    const fetched = await sourceType.fetch(source, options);
+    const parsed = fetched ? await sourceType.parse(fetched.content, { ...source, ...fetched.updates }, options) : null;
+    
+    // Unchanged, or cancelled e.g. in the CSV column mapping step
+    if (!parsed) {
+      return;
+    }
+    
+    const { added, seen, change } = await importSourceQuotes(source, parsed);
+    updateQuoteSource(sourceId, {
+      ...fetched.updates,
+      seen,
+      addedCount: source.addedCount + added,
+      lastCheckedAt: Date.now(),
+      lastError: null
+    });
+    
+    if (added > 0) {
+      showNotification(
+        `Added ${added} new quote${added === 1 ? '' : 's'} from ${source.name}`,
+        undoAction(change)
+      );
+    } else if (options.manual) {
+      showNotification(`No new quotes from ${source.name}`);
+    }
+    console.log('Checked quote source', source.name, '- added:', added);
+    
+  } catch (error) {
+    console.error('Error reading quote source:', error);
+    updateQuoteSource(sourceId, { lastCheckedAt: Date.now(), lastError: error.message });
+    if (options.manual) {
+      showNotification(`Could not read ${source.name}: ${error.message}`);
+    }
+  } finally {
+    refreshingSources.delete(sourceId);
+  }
+}
+
+/**
+ * Identifies a source item across checks: its guid, or else its text
+ */
+function sourceItemKey(rawQuote) {
+  return rawQuote.guid ? String(rawQuote.guid) : quoteDuplicateKey(rawQuote);
+}
+
+/**
+ * Adds the quotes a source delivered that it hadn't delivered before, in
+ * the source's category
+ * Items seen on an earlier check are skipped, so quotes the user deleted
+ * stay deleted; duplicates and near-duplicates of existing quotes and
+ * invalid quotes are skipped too
+ * @param {Object} source
+ * @param {Array} rawQuotes - Quotes from the source's parse()
+ * @returns {Promise<Object>} { added, seen, change } - seen holds the updated
+ *   item keys, change the undo history entry
+ */
+async function importSourceQuotes(source, rawQuotes) {
+  const seen = new Set(source.seen);
+  const fresh = rawQuotes.filter(raw => raw && typeof raw.text === 'string' && !seen.has(sourceItemKey(raw)));
+  
+  const rows = classifyImportRows(fresh.map(raw => ({
+    text: raw.text,
+    category: source.category,
+    tags: raw.tags,
+    author: raw.author,
+    source: raw.source,
+    year: raw.year
+  })));
+  const newRows = rows.filter(row => row.status === 'new');
+  let change = null;
+  
+  if (newRows.length > 0) {
+    const before = snapshotQuotes();
+    const now = Date.now();
+    
+    const added = newRows.map(row => {
+      const quote = { ...row.quote, createdAt: now, updatedAt: now };
+      ensureQuoteMetadata([quote]);
+      quotes.push(quote);
+      return quote;
+    });
+    enqueueOperations(added.map(quote => ({ type: 'add', quote })));
+    
+    change = recordHistory(`Quotes from ${source.name}`, before);
+    await saveQuotes();
+    syncSearchIndex();
+    refreshAfterQuoteChange();
+    updateStats();
+  }
+  
+  fresh.forEach(raw => seen.add(sourceItemKey(raw)));
+  return { added: newRows.length, seen: [...seen].slice(-SOURCE_SEEN_LIMIT), change };
+}
+
+/**
+ * Downloads a feed
+ * Relative addresses are read from the app's own folder, e.g. fixtures
+ */
+async function fetchFeedSource(source) {
+  const response = await fetch(source.url, { cache: 'no-cache' });
+  
+  if (!response.ok) {
+    throw new Error(`Feed responded with status: ${response.status}`);
+  }
+  
+  return { content: await response.text(), updates: {} };
+}
+
+/**
+ * Reads quotes from an RSS 2.0 or Atom feed, one per item
+ * The quote is the item's title, or - with textFrom 'description' - its
+ * description, as in "quote of the day" feeds whose titles name the author
+ * @param {string} content - Feed XML
+ * @param {Object} source - { textFrom }
+ * @returns {Array} Raw quotes of { text, author?, guid? }
+ */
+function parseFeedQuotes(content, source) {
+  const doc = new DOMParser().parseFromString(content, 'application/xml');
+  const root = doc.documentElement;
+  
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The feed is not valid XML');
+  }
+  if (!['rss', 'feed', 'RDF'].includes(root.localName)) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+  
+  // Elements are matched by local name, so namespaced feeds work too
+  const child = (element, ...names) => [...element.children].find(el => names.includes(el.localName));
+  const childText = (element, ...names) => {
+    const el = child(element, ...names);
+    return el ? el.textContent.trim() : '';
+  };
+  
+  // Descriptions and Atom content are often HTML
+  const plainText = html => new DOMParser().parseFromString(html, 'text/html').body.textContent
+    .replace(/\s+/g, ' ')
+    .trim();
+  const unquote = text => text.replace(/^["“”„«»]+|["“”„«»]+$/g, '').trim();
+  
+  const items = [...root.getElementsByTagName('*')].filter(el => el.localName === 'item' || el.localName === 'entry');
+  
+  return items.map(item => {
+    const title = plainText(childText(item, 'title'));
+    const description = plainText(childText(item, 'description', 'summary', 'content', 'encoded'));
+    
+    // Atom nests the name; RSS often gives "email (Name)"
+    const authorElement = child(item, 'author', 'creator');
+    let author = authorElement ? (childText(authorElement, 'name') || authorElement.textContent.trim()) : '';
+    author = author.replace(/^\S+@\S+\s*\((.+)\)$/, '$1');
+    
+    let text;
+    if (source.textFrom === 'description' && description) {
+      text = description;
+      author = author || title;
+    } else {
+      text = title || description;
+    }
+    
+    // "Quote — Author" in a single field
+    const parts = text.split(ATTRIBUTION_SEPARATOR);
+    if (!author && parts.length > 1) {
+      author = parts.pop().trim();
+      text = parts.join(' — ');
+    }
+    
+    const link = child(item, 'link');
+    const guid = childText(item, 'guid', 'id') || (link ? link.getAttribute('href') || link.textContent.trim() : '');
+    
+    const quote = { text: unquote(text) };
+    if (author) {
+      quote.author = author;
+    }
+    if (guid) {
+      quote.guid = guid;
+    }
+    return quote;
+  });
+}
+
+/**
+ * Reads a watched file if it changed since the last check
+ * Without a stored handle the user is asked to pick the file again, which
+ * only a manual check may do
+ */
+async function readWatchedFile(source, { manual = false, file = null } = {}) {
+  const handle = getSourceFileHandle(source.id);
+  
+  if (!file && handle) {
+    // Permission lapses when the page is reloaded; only a click may ask again
+    if (await handle.queryPermission({ mode: 'read' }) !== 'granted' &&
+        (!manual || await handle.requestPermission({ mode: 'read' }) !== 'granted')) {
+      throw new Error('Permission to read the file is needed - click Check Now');
+    }
+    
+    file = await handle.getFile();
+    if (!manual && file.lastModified === source.lastModified) {
+      return null;
+    }
+  } else if (!file && manual) {
+    const picked = await pickSourceFile();
+    file = picked ? picked.file : null;
+  }
+  
+  if (!file) {
+    return null;
+  }
+  
+  return {
+    content: await readFileAsText(file),
+    updates: { fileName: file.name, lastModified: file.lastModified }
+  };
+}
+
+/**
+ * Reads quotes from a watched file in any importable format
+ */
+async function parseWatchedFile(content, source, options = {}) {
+  const formatName = detectQuoteFileFormat(source.fileName, content);
+  if (formatName === 'csv') {
+    return parseWatchedCsv(content, source, options);
+  }
+  
+  const parsed = await QUOTE_FILE_FORMATS[formatName].parse(content);
+  
+  // JSON exports hold their quotes in an envelope
+  return Array.isArray(parsed) || !parsed ? parsed : parsed.quotes;
+}
+
+/**
+ * Reads a watched CSV file with the column mapping stored on the source
+ * The mapping is only asked for on a manual check (the first one runs when
+ * the source is added), so background checks never open the dialog. An
+ * error is recorded instead, which pauses background checks until Check Now
+ */
+async function parseWatchedCsv(content, source, options) {
+  const rows = parseCsv(content);
+  
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+  
+  let choice = source.csvMapping;
+  if (!choice) {
+    if (!options.manual) {
+      throw new Error('Click Check Now to choose the CSV columns');
+    }
+    
+    choice = await showColumnMappingDialog(rows);
+    if (!choice) {
+      throw new Error('No CSV columns were chosen - click Check Now to choose them');
+    }
+    updateQuoteSource(source.id, { csvMapping: choice });
+  }
+  
+  return csvRowsToQuotes(rows, choice);
+}
+
+// ============================================
+// DUPLICATE DETECTION
+// ============================================
+
+// Groups found by the last "find duplicates" run: [{ quotes, similarity, keepId }]
+let duplicateGroups = [];
+
+/**
+ * Reduces quote text to what matters for comparing quotes: lowercase words
+ * without accents, quotation marks, punctuation or extra whitespace
+ * @example normalizeQuoteText('“Life is what happens…”') // 'life is what happens'
+ */
+function normalizeQuoteText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // Apostrophes join words: "you're" and "youre" are the same
+    .replace(/['’‘`´]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Checks whether two quotes have the same category and author, ignoring case
+ */
+function sameAttribution(a, b) {
+  const same = (x, y) => normalizeQuoteText(x) === normalizeQuoteText(y);
+  return same(a.category, b.category) && same(a.author, b.author);
+}
+
+/**
+ * Counts the pairs of adjacent characters in normalized text
+ * @returns {Object} { key, bigrams: Map(pair -> count), size }
+ */
+function createTextSignature(text) {
+  const key = normalizeQuoteText(text);
+  const bigrams = new Map();
+  
+  for (let i = 0; i < key.length - 1; i++) {
+    const pair = key.slice(i, i + 2);
+    bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+  }
+  
+  return { key, bigrams, size: Math.max(0, key.length - 1) };
+}
+
+/**
+ * Scores how alike two texts are, from 0 to 1 (Dice coefficient of their
+ * character pairs); equal normalized texts score 1
+ * @param {Object} a - createTextSignature() result
+ * @param {Object} b - createTextSignature() result
+ */
+function signatureSimilarity(a, b) {
+  if (a.key === b.key) {
+    return 1;
+  }
+  if (a.key.length < FUZZY_MATCH_MIN_LENGTH || b.key.length < FUZZY_MATCH_MIN_LENGTH) {
+    return 0;
+  }
+  
+  // Texts of very different length can't reach the threshold
+  if ((2 * Math.min(a.size, b.size)) / (a.size + b.size) < DUPLICATE_SIMILARITY) {
+    return 0;
+  }
+  
+  let shared = 0;
+  a.bigrams.forEach((count, pair) => {
+    shared += Math.min(count, b.bigrams.get(pair) || 0);
+  });
+  
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Scores how alike the texts of two quotes are, from 0 to 1
+ */
+function quoteSimilarity(a, b) {
+  return signatureSimilarity(createTextSignature(a.text), createTextSignature(b.text));
+}
+
+/**
+ * Finds the quote most like the given one
+ * @param {Object} quote - Quote (or { text }) to look up; never matches itself
+ * @param {Array} list - Quotes to search
+ * @returns {Object|null} { quote, similarity } if one is alike enough
+ */
+function findSimilarQuote(quote, list) {
+  return createSimilarityIndex(list).findSimilar(quote);
+}
+
+/**
+ * Indexes quotes for repeated similarity lookups
+ * Each text's signature is computed once, and quotes are bucketed by text
+ * length, so a lookup only compares texts whose lengths can reach
+ * DUPLICATE_SIMILARITY
+ * @param {Array} [list] - Quotes to index
+ * @returns {Object} { add(quote), findSimilar(quote) } - findSimilar works
+ *   like findSimilarQuote()
+ */
+function createSimilarityIndex(list = []) {
+  // Signature size → [{ quote, signature }]
+  const buckets = new Map();
+  
+  const add = quote => {
+    const signature = createTextSignature(quote.text);
+    if (!buckets.has(signature.size)) {
+      buckets.set(signature.size, []);
+    }
+    buckets.get(signature.size).push({ quote, signature });
+  };
+  
+  const findSimilar = quote => {
+    const signature = createTextSignature(quote.text);
+    // Sizes where 2 * min / (a + b) stays at or above the threshold
+    const minSize = Math.ceil(signature.size * DUPLICATE_SIMILARITY / (2 - DUPLICATE_SIMILARITY) - 1e-9);
+    const maxSize = Math.floor(signature.size * (2 - DUPLICATE_SIMILARITY) / DUPLICATE_SIMILARITY + 1e-9);
+    let best = null;
+    
+    for (let size = minSize; size <= maxSize; size++) {
+      (buckets.get(size) || []).forEach(({ quote: candidate, signature: candidateSignature }) => {
+        if (candidate === quote || (quote.id !== undefined && candidate.id === quote.id)) {
+          return;
+        }
+        
+        const similarity = signatureSimilarity(signature, candidateSignature);
+        if (similarity >= DUPLICATE_SIMILARITY && (!best || similarity > best.similarity)) {
+          best = { quote: candidate, similarity };
+        }
+      });
+    }
+    
+    return best;
+  };
+  
+  list.forEach(add);
+  return { add, findSimilar };
+}
+
+/**
+ * Groups quotes whose texts are alike; quotes alike through a third one
+ * end up in the same group
+ * @param {Array} list - Quotes to check
+ * @returns {Array} Groups of { quotes, similarity } - similarity is the
+ *   lowest score that joined the group
+ */
+function findDuplicateGroups(list) {
+  const signatures = list.map(q => createTextSignature(q.text));
+  const parent = list.map((_, index) => index);
+  const lowest = new Map();
+  
+  const root = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const similarity = signatureSimilarity(signatures[i], signatures[j]);
+      if (similarity < DUPLICATE_SIMILARITY) {
+        continue;
+      }
+      
+      const a = root(i);
+      const b = root(j);
+      const joined = Math.min(similarity, lowest.get(a) ?? 1, lowest.get(b) ?? 1);
+      parent[b] = a;
+      lowest.set(a, joined);
+    }
+  }
+  
+  const groups = new Map();
+  list.forEach((quote, index) => {
+    const group = root(index);
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(quote);
+  });
+  
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([group, members]) => ({ quotes: members, similarity: lowest.get(group) }));
+}
+
+/**
+ * Picks the quote to keep from a group: the one with the most details,
+ * then the oldest
+ */
+function chooseQuoteToKeep(group) {
+  const detail = q => ['author', 'source', 'year', 'rating'].filter(field => q[field] !== undefined).length +
+    (q.tags || []).length + (q.favorite ? 1 : 0);
+  
+  return [...group].sort((a, b) => detail(b) - detail(a) || (a.createdAt || 0) - (b.createdAt || 0))[0];
+}
+
+/**
+ * Folds the details of duplicate quotes into the one being kept
+ * Tags are combined; attribution the kept quote lacks is taken from the
+ * others; the highest rating and weight, any favorite and all views count
+ * @param {Object} keep - Quote to keep (changed in place)
+ * @param {Array} others - Quotes that will be removed
+ */
+function combineDuplicateQuotes(keep, others) {
+  const group = [keep, ...others];
+  
+  keep.tags = normalizeTags(group.flatMap(q => q.tags || [])).slice(0, MAX_TAGS_PER_QUOTE);
+  
+  ['author', 'source', 'year'].forEach(field => {
+    if (keep[field] === undefined) {
+      const donor = others.find(q => q[field] !== undefined);
+      if (donor) {
+        keep[field] = donor[field];
+      }
+    }
+  });
+  
+  const highest = field => Math.max(...group.map(q => q[field] || 0));
+  
+  if (group.some(q => q.favorite)) {
+    keep.favorite = true;
+  }
+  if (highest('rating') > 0) {
+    keep.rating = highest('rating');
+  }
+  if (highest('weight') > MIN_QUOTE_WEIGHT) {
+    keep.weight = highest('weight');
+  }
+  
+  const views = group.reduce((sum, q) => sum + (q.views || 0), 0);
+  if (views > 0) {
+    keep.views = views;
+    keep.lastShownAt = highest('lastShownAt');
+  }
+  
+  // Keep the earliest known creation date
+  const created = group.map(q => q.createdAt).filter(time => time > 0);
+  if (created.length > 0) {
+    keep.createdAt = Math.min(...created);
+  }
+  
+  keep.updatedAt = Date.now();
+  return keep;
+}
+
+/**
+ * Looks for likely duplicates and lists them for merging
+ */
+function openDuplicatesDialog() {
+  duplicateGroups = findDuplicateGroups(quotes).map(group => ({
+    ...group,
+    keepId: chooseQuoteToKeep(group.quotes).id
+  }));
+  
+  renderDuplicateGroups();
+  document.getElementById('duplicatesDialog').style.display = 'flex';
+  console.log('Found', duplicateGroups.length, 'duplicate groups');
+}
+
+/**
+ * Closes the duplicates dialog
+ */
+function closeDuplicatesDialog() {
+  document.getElementById('duplicatesDialog').style.display = 'none';
+  duplicateGroups = [];
+}
+
+/**
+ * Renders each group of duplicates with a choice of the quote to keep
+ */
+function renderDuplicateGroups() {
+  const list = document.getElementById('duplicateGroupList');
+  const count = duplicateGroups.reduce((sum, group) => sum + group.quotes.length, 0);
+  
+  document.getElementById('duplicatesSummary').textContent = duplicateGroups.length === 0
+    ? 'No likely duplicates found.'
+    : `${duplicateGroups.length} groups of likely duplicates (${count} quotes). ` +
+      'Merging keeps the chosen quote with the tags, attribution, rating and views of the others.';
+  document.getElementById('mergeAllDuplicates').disabled = duplicateGroups.length === 0;
+  
+  list.innerHTML = '';
+  
+  duplicateGroups.forEach((group, groupIndex) => {
+    const item = document.createElement('li');
+    item.className = 'duplicate-group';
+    
+    const heading = document.createElement('div');
+    heading.className = 'duplicate-group-heading';
+    heading.textContent = `${group.quotes.length} quotes, ${Math.round(group.similarity * 100)}% alike`;
+    
+    const mergeButton = document.createElement('button');
+    mergeButton.textContent = 'Merge';
+    mergeButton.onclick = () => mergeDuplicateGroups([group]);
+    heading.appendChild(mergeButton);
+    item.appendChild(heading);
+    
+    group.quotes.forEach(quote => {
+      const option = document.createElement('label');
+      option.className = 'duplicate-option';
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `duplicate-keep-${groupIndex}`;
+      radio.checked = quote.id === group.keepId;
+      radio.setAttribute('aria-label', 'Keep this quote');
+      radio.onchange = () => {
+        group.keepId = quote.id;
+      };
+      
+      const details = document.createElement('span');
+      details.className = 'quote-list-details';
+      
+      const text = document.createElement('span');
+      text.className = 'quote-list-text';
+      text.textContent = quote.text;
+      
+      const meta = document.createElement('span');
+      meta.className = 'quote-list-category';
+      meta.textContent = [
+        quote.category,
+        formatAttribution(quote),
+        formatTags(quote.tags),
+        quote.rating ? formatRating(quote.rating) : ''
+      ].filter(Boolean).join(' · ');
+      
+      details.appendChild(text);
+      details.appendChild(meta);
+      option.appendChild(radio);
+      option.appendChild(details);
+      item.appendChild(option);
+    });
+    
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Merges every listed group
+ */
+function mergeAllDuplicateGroups() {
+  mergeDuplicateGroups([...duplicateGroups]);
+}
+
+/**
+ * Merges groups of duplicates into the quote chosen in each
+ * A snapshot is taken first; the merge is one undoable change
+ * @param {Array} groups - Groups from findDuplicateGroups() with a keepId
+ */
+async function mergeDuplicateGroups(groups) {
+  if (groups.length === 0) {
+    return;
+  }
+  
+  await takeSnapshot('Before merging duplicates');
+  
+  const before = snapshotQuotes();
+  const removedIds = new Map();
+  const operations = [];
+  
+  groups.forEach(group => {
+    const keep = findQuoteById(group.keepId);
+    const others = group.quotes.filter(q => q.id !== group.keepId).map(q => findQuoteById(q.id)).filter(Boolean);
+    
+    if (!keep || others.length === 0) {
+      return;
+    }
+    
+    combineDuplicateQuotes(keep, others);
+    indexQuote(keep);
+    operations.push({ type: 'update', quote: keep });
+    
+    others.forEach(quote => {
+      removedIds.set(quote.id, keep);
+      unindexQuote(quote.id);
+      operations.push({ type: 'delete', quote });
+    });
+  });
+  enqueueOperations(operations);
+  
+  quotes = quotes.filter(q => !removedIds.has(q.id));
+  
+  await saveQuotes();
+  const change = recordHistory(`Merge ${removedIds.size} duplicates`, before);
+  refreshAfterQuoteChange();
+  
+  // Show the kept quote in place of a removed one
+  const lastQuote = getLastQuote();
+  if (lastQuote && removedIds.has(lastQuote.id)) {
+    const kept = removedIds.get(lastQuote.id);
+    saveLastQuote(kept);
+    displayQuote(kept, { countView: false });
+  }
+  
+  // Drop merged groups from the dialog and list what's left
+  const merged = new Set(groups);
+  duplicateGroups = duplicateGroups.filter(group => !merged.has(group));
+  renderDuplicateGroups();
+  
+  showNotification(`Merged ${removedIds.size} duplicate quotes.`, undoAction(change));
+  console.log('Merged', removedIds.size, 'duplicates in', groups.length, 'groups');
+}
+
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+
+/**
+ * Copies the quote collection so a change can be recorded against it
+ */
+function snapshotQuotes() {
+  return structuredClone(quotes);
+}
+
+/**
+ * Loads the undo/redo history from storage
+ */
+function loadHistory() {
+  const stored = getSetting(HISTORY_KEY);
+  
+  quoteHistory = {
+    undo: Array.isArray(stored?.undo) ? stored.undo : [],
+    redo: Array.isArray(stored?.redo) ? stored.redo : []
+  };
+  
+  updateHistoryButtons();
+}
+
+/**
+ * Saves the undo/redo history to storage
+ */
+function saveHistory() {
+  setSetting(HISTORY_KEY, quoteHistory);
+}
+
+/**
+ * Records the difference between a snapshot and the current quotes
+ * as one undoable change; starting a new change clears the redo stack
+ * @param {string} label - Name shown on the undo button, e.g. 'Delete quote'
+ * @param {Array} before - snapshotQuotes() taken before the change
+ * @returns {Object|null} The recorded entry, or null if nothing changed
+ */
+function recordHistory(label, before) {
+  if (historyApplying) {
+    return null;
+  }
+  
+  const beforeIndex = new Map(before.map((q, index) => [q.id, index]));
+  const afterIndex = new Map(quotes.map((q, index) => [q.id, index]));
+  const changes = [];
+  
+  new Set([...beforeIndex.keys(), ...afterIndex.keys()]).forEach(id => {
+    const old = beforeIndex.has(id) ? before[beforeIndex.get(id)] : null;
+    const current = afterIndex.has(id) ? quotes[afterIndex.get(id)] : null;
+    
+    if (JSON.stringify(old) !== JSON.stringify(current)) {
+      changes.push({
+        id,
+        before: old,
+        beforeIndex: beforeIndex.get(id) ?? -1,
+        after: current ? structuredClone(current) : null,
+        afterIndex: afterIndex.get(id) ?? -1
+      });
+    }
+  });
+  
+  if (changes.length === 0) {
+    return null;
+  }
+  
+  const entry = { id: generateQuoteId(), label, timestamp: Date.now(), changes };
+  quoteHistory.undo.push(entry);
+  quoteHistory.undo = quoteHistory.undo.slice(-HISTORY_LIMIT);
+  quoteHistory.redo = [];
+  
+  saveHistory();
+  updateHistoryButtons();
+  console.log('Recorded change:', label, '-', changes.length, 'quote(s)');
+  return entry;
+}
+
+/**
+ * Returns the change the next undo would revert
+ */
+function latestHistoryEntry() {
+  return quoteHistory.undo[quoteHistory.undo.length - 1];
+}
+
+/**
+ * Builds the Undo button for the notification of a change
+ * The button reverts only that change; once another change is recorded or
+ * undone on top of it, the button is disabled
+ * @param {Object|null} entry - Entry returned by recordHistory()
+ * @returns {Object|undefined} Action for showNotification()
+ */
+function undoAction(entry) {
+  if (!entry) {
+    return undefined;
+  }
+  
+  return { label: 'Undo', onClick: () => undoChange(entry.id), historyId: entry.id };
+}
+
+/**
+ * Undoes a change if it is still the most recent one
+ * @param {string} id - ID of the history entry
+ */
+async function undoChange(id) {
+  if (latestHistoryEntry()?.id !== id) {
+    showNotification('That change can no longer be undone - undo newer changes first.');
+    return;
+  }
+  
+  await undoLastChange();
+}
+
+/**
+ * Undoes the most recent change
+ */
+async function undoLastChange() {
+  await stepHistory(quoteHistory.undo, quoteHistory.redo, 'before', 'Undid');
+}
+
+/**
+ * Redoes the most recently undone change
+ */
+async function redoLastChange() {
+  await stepHistory(quoteHistory.redo, quoteHistory.undo, 'after', 'Redid');
+}
+
+/**
+ * Moves one change from one history stack to the other, applying it
+ * @param {Array} from - Stack to take the change from
+ * @param {Array} to - Stack to put it on
+ * @param {string} side - 'before' to undo, 'after' to redo
+ * @param {string} verb - For the notification
+ */
+async function stepHistory(from, to, side, verb) {
+  if (historyApplying || from.length === 0) {
+    return;
+  }
+  
+  const entry = from.pop();
+  historyApplying = true;
+  
+  try {
+    await applyHistoryChanges(entry.changes, side);
+    to.push(entry);
+  } catch (error) {
+    // Put it back so the change can be tried again
+    from.push(entry);
+    console.error('Error applying history:', error);
+    alert(`Could not ${verb === 'Undid' ? 'undo' : 'redo'}: ${error.message}`);
+    return;
+  } finally {
+    historyApplying = false;
+  }
+  
+  saveHistory();
+  updateHistoryButtons();
+  showNotification(`${verb}: ${entry.label}`);
+  console.log(verb, entry.label);
+}
+
+/**
+ * Puts each changed quote back into its recorded state
+ * The changes are queued in the outbox like any other edit, so undoing
+ * reaches the server too
+ * @param {Array} changes - Changes from recordHistory()
+ * @param {string} side - 'before' or 'after'
+ */
+async function applyHistoryChanges(changes, side) {
+  const indexKey = `${side}Index`;
+  const operations = [];
+  
+  // Remove first, then insert in ascending order so positions line up
+  changes.filter(change => !change[side]).forEach(change => {
+    const index = quotes.findIndex(q => q.id === change.id);
+    if (index !== -1) {
+      const [removed] = quotes.splice(index, 1);
+      unindexQuote(removed.id);
+      operations.push({ type: 'delete', quote: removed });
+    }
+  });
+  
+  changes.filter(change => change[side])
+    .sort((a, b) => a[indexKey] - b[indexKey])
+    .forEach(change => {
+      const quote = { ...structuredClone(change[side]), updatedAt: Date.now() };
+      const index = quotes.findIndex(q => q.id === change.id);
+      
+      if (index !== -1) {
+        copyViewStats(quotes[index], quote);
+      }
+      
+      if (index === -1) {
+        quotes.splice(Math.min(change[indexKey], quotes.length), 0, quote);
+        operations.push({ type: 'add', quote });
+      } else {
+        quotes[index] = quote;
+        operations.push({ type: 'update', quote });
+      }
+      indexQuote(quote);
+    });
+  enqueueOperations(operations);
+  
+  await saveQuotes();
+  
+  refreshAfterQuoteChange();
+  
+  // Keep the displayed quote in step with its restored version
+  const lastQuote = getLastQuote();
+  if (!lastQuote || !changes.some(change => change.id === lastQuote.id)) {
+    return;
+  }
+  
+  const shown = findQuoteById(lastQuote.id);
+  if (shown) {
+    saveLastQuote(shown);
+    displayQuote(shown, { countView: false });
+  } else {
+    // The change removed the quote on screen
+    sessionStorage.removeItem(LAST_QUOTE_KEY);
+    showRandomQuote();
+  }
+}
+
+/**
+ * Enables the undo/redo buttons and names the change each would apply
+ */
+function updateHistoryButtons() {
+  const undoButton = document.getElementById('undoButton');
+  const redoButton = document.getElementById('redoButton');
+  const nextUndo = latestHistoryEntry();
+  const nextRedo = quoteHistory.redo[quoteHistory.redo.length - 1];
+  
+  undoButton.disabled = !nextUndo;
+  undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+  redoButton.disabled = !nextRedo;
+  redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  
+  // Undo buttons in notifications only work while their change is on top
+  document.querySelectorAll('.notification-action[data-history-id]').forEach(button => {
+    button.disabled = button.dataset.historyId !== nextUndo?.id;
+  });
+}
+
+/**
+ * Handles Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) and Ctrl+Y
+ * Text fields keep their own undo
+ */
+function handleHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return;
+  }
+  
+  const target = event.target;
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+    return;
+  }
+  
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undoLastChange();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redoLastChange();
+  }
+}
+
+// ============================================
+// FAVORITES, RATINGS AND STATISTICS
+// ============================================
+
+/**
+ * Reads the favorite flag and star rating of a quote from any source
+ * Files may hold them as text, e.g. "yes" or "4"
+ * @returns {Object} { favorite, rating } - rating is undefined when unrated
+ */
+function normalizeFeedback(raw) {
+  const favorite = raw.favorite === true ||
+    (typeof raw.favorite === 'string' && /^(true|yes|y|1|★)$/i.test(raw.favorite.trim()));
+  
+  const hasRating = raw.rating !== undefined && raw.rating !== null && String(raw.rating).trim() !== '';
+  const rating = hasRating ? Number(raw.rating) : undefined;
+  
+  // 0 stars means unrated
+  return { favorite, rating: rating === 0 ? undefined : rating };
+}
+
+/**
+ * Checks a star rating
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRating(rating) {
+  if (!Number.isInteger(rating) || rating < MIN_QUOTE_RATING || rating > MAX_QUOTE_RATING) {
+    return `The rating must be a whole number from ${MIN_QUOTE_RATING} to ${MAX_QUOTE_RATING} stars!`;
+  }
+  return null;
+}
+
+/**
+ * Stores the favorite flag and rating on a quote
+ * Unset values are removed rather than stored as false or empty; an
+ * invalid rating is dropped
+ */
+function setFeedback(quote, { favorite, rating }) {
+  if (favorite) {
+    quote.favorite = true;
+  } else {
+    delete quote.favorite;
+  }
+  
+  if (rating !== undefined && !validateRating(rating)) {
+    quote.rating = rating;
+  } else {
+    delete quote.rating;
+  }
+}
+
+/**
+ * Formats a rating as stars, e.g. ★★★☆☆
+ */
+function formatRating(rating) {
+  return '★'.repeat(rating) + '☆'.repeat(MAX_QUOTE_RATING - rating);
+}
+
+/**
+ * Changes the favorite flag and/or rating of a quote
+ * Undoable and synced like any other edit
+ * @param {string} id - ID of the quote
+ * @param {Object} changes - { favorite } and/or { rating } (undefined to clear)
+ * @returns {Promise<boolean>} True if the quote was updated
+ */
+async function updateQuoteFeedback(id, changes) {
+  const quote = findQuoteById(id);
+  
+  if (!quote) {
+    console.error('Quote not found:', id);
+    return false;
+  }
+  
+  const before = snapshotQuotes();
+  const feedback = { favorite: quote.favorite === true, rating: quote.rating, ...changes };
+  setFeedback(quote, feedback);
+  quote.updatedAt = Date.now();
+  
+  await saveQuote(quote);
+  enqueueOperation('update', quote);
+  recordHistory('favorite' in changes ? 'Change favorite' : 'Rate quote', before);
+  
+  const lastQuote = getLastQuote();
+  if (lastQuote && lastQuote.id === id) {
+    saveLastQuote(quote);
+    displayQuote(quote, { countView: false });
+  }
+  
+  refreshAfterQuoteChange();
+  console.log('Quote feedback updated:', id, feedback);
+  return true;
+}
+
+/**
+ * Creates a star button that adds a quote to or removes it from favorites
+ */
+function createFavoriteButton(quote) {
+  const button = document.createElement('button');
+  const isFavorite = quote.favorite === true;
+  
+  button.className = isFavorite ? 'favorite-button active' : 'favorite-button';
+  button.textContent = isFavorite ? '★' : '☆';
+  button.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+  button.setAttribute('aria-label', button.title);
+  button.setAttribute('aria-pressed', String(isFavorite));
+  button.onclick = event => {
+    event.stopPropagation();
+    updateQuoteFeedback(quote.id, { favorite: !isFavorite });
+  };
+  
+  return button;
+}
+
+/**
+ * Creates the favorite button, rating stars and view count shown under
+ * the quote in the main display
+ * @param {Object} quote - Displayed quote (may be a stored copy)
+ */
+function createQuoteFeedback(quote) {
+  const current = findQuoteById(quote.id) || quote;
+  const feedback = document.createElement('div');
+  feedback.className = 'quote-feedback';
+  
+  feedback.appendChild(createFavoriteButton(current));
+  
+  const stars = document.createElement('span');
+  stars.className = 'rating-stars';
+  stars.setAttribute('role', 'group');
+  stars.setAttribute('aria-label', 'Rating');
+  
+  for (let rating = MIN_QUOTE_RATING; rating <= MAX_QUOTE_RATING; rating++) {
+    const star = document.createElement('button');
+    const filled = (current.rating || 0) >= rating;
+    star.className = filled ? 'rating-star filled' : 'rating-star';
+    star.textContent = filled ? '★' : '☆';
+    star.title = rating === current.rating ? 'Clear rating' : `Rate ${rating} of ${MAX_QUOTE_RATING}`;
+    star.setAttribute('aria-label', star.title);
+    // Clicking the current rating again clears it
+    star.onclick = () => updateQuoteFeedback(current.id, {
+      rating: rating === current.rating ? undefined : rating
+    });
+    stars.appendChild(star);
+  }
+  
+  feedback.appendChild(stars);
+  
+  const views = document.createElement('span');
+  views.className = 'quote-views';
+  views.dataset.id = current.id;
+  views.textContent = formatViewCount(current.views || 0);
+  feedback.appendChild(views);
+  
+  return feedback;
+}
+
+/**
+ * Counts a view of a quote and remembers when it was shown
+ * Only the stored copy is saved; views are not synced or undoable
+ * @param {Object} quote - Displayed quote (may be a stored copy)
+ */
+function recordQuoteView(quote) {
+  const stored = findQuoteById(quote.id);
+  
+  if (!stored) {
+    return;
+  }
+  
+  stored.views = (stored.views || 0) + 1;
+  stored.lastShownAt = Date.now();
+  saveQuote(stored, { quiet: true });
+  
+  // Update the view count under the displayed quote
+  document.querySelectorAll('.quote-views').forEach(element => {
+    if (element.dataset.id === stored.id) {
+      element.textContent = formatViewCount(stored.views);
+    }
+  });
+  
+  renderStatsDashboard();
+}
+
+/**
+ * Describes how often a quote was viewed, e.g. "Viewed 3 times"
+ */
+function formatViewCount(views) {
+  if (views === 0) {
+    return 'Not viewed yet';
+  }
+  return `Viewed ${views} ${views === 1 ? 'time' : 'times'}`;
+}
+
+/**
+ * Copies this device's view statistics from one version of a quote to another
+ * @returns {Object} The target quote
+ */
+function copyViewStats(source, target) {
+  VIEW_STAT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      target[field] = source[field];
+    } else {
+      delete target[field];
+    }
+  });
+  return target;
+}
+
+/**
+ * Renders the statistics dashboard: most viewed, highest rated and never
+ * shown quotes, and how quotes and views are spread over categories
+ */
+function renderStatsDashboard() {
+  const summary = document.getElementById('statsSummary');
+  
+  if (!summary) {
+    return;
+  }
+  
+  const rated = quotes.filter(q => q.rating);
+  const totalViews = quotes.reduce((sum, q) => sum + (q.views || 0), 0);
+  const averageRating = rated.length > 0
+    ? (rated.reduce((sum, q) => sum + q.rating, 0) / rated.length).toFixed(1)
+    : '–';
+  
+  summary.innerHTML = `
+    <strong>Views:</strong> ${totalViews} | 
+    <strong>Favorites:</strong> ${quotes.filter(q => q.favorite).length} | 
+    <strong>Rated:</strong> ${rated.length} (average ${averageRating})
+  `;
+  
+  const mostViewed = quotes.filter(q => q.views > 0)
+    .sort((a, b) => b.views - a.views || b.lastShownAt - a.lastShownAt);
+  renderStatsList('mostViewedList', mostViewed,
+    q => `${q.views} ${q.views === 1 ? 'view' : 'views'}`);
+  
+  const highestRated = [...rated].sort((a, b) => b.rating - a.rating || (b.views || 0) - (a.views || 0));
+  renderStatsList('highestRatedList', highestRated, q => formatRating(q.rating));
+  
+  const neverShown = quotes.filter(q => !q.views);
+  renderStatsList('neverShownList', neverShown, q => q.category);
+  document.getElementById('neverShownCount').textContent = `(${neverShown.length})`;
+  
+  const quotesPerCategory = new Map();
+  const viewsPerCategory = new Map();
+  quotes.forEach(q => {
+    quotesPerCategory.set(q.category, (quotesPerCategory.get(q.category) || 0) + 1);
+    viewsPerCategory.set(q.category, (viewsPerCategory.get(q.category) || 0) + (q.views || 0));
+  });
+  renderBarChart('categoryQuotesChart', quotesPerCategory);
+  renderBarChart('categoryViewsChart', viewsPerCategory);
+}
+
+/**
+ * Lists the first few quotes of a statistic; clicking one displays it
+ * @param {string} listId - ID of the <ol>/<ul> to fill
+ * @param {Array} list - Quotes in order
+ * @param {Function} describe - Returns the detail shown next to a quote
+ */
+function renderStatsList(listId, list, describe) {
+  const element = document.getElementById(listId);
+  element.innerHTML = '';
+  
+  if (list.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-quote';
+    empty.textContent = 'None yet.';
+    element.appendChild(empty);
+    return;
+  }
+  
+  list.slice(0, STATS_LIST_LIMIT).forEach(quote => {
+    const item = document.createElement('li');
+    item.className = 'stats-list-item';
+    item.title = 'Show this quote';
+    
+    const text = document.createElement('span');
+    text.className = 'stats-list-text';
+    text.textContent = quote.text;
+    
+    const detail = document.createElement('span');
+    detail.className = 'stats-list-detail';
+    detail.textContent = describe(quote);
+    
+    item.appendChild(text);
+    item.appendChild(detail);
+    item.addEventListener('click', () => {
+      displayQuote(quote);
+      saveLastQuote(quote);
+    });
+    element.appendChild(item);
+  });
+}
+
+/**
+ * Draws a horizontal bar chart with plain elements, largest value first
+ * @param {string} containerId - Element to draw into
+ * @param {Map} values - Label → number
+ */
+function renderBarChart(containerId, values) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  
+  const entries = [...values.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const max = Math.max(1, ...entries.map(([, value]) => value));
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="empty-quote">No quotes yet.</p>';
+    return;
+  }
+  
+  entries.forEach(([label, value]) => {
+    const row = document.createElement('div');
+    row.className = 'bar-row';
+    
+    const name = document.createElement('span');
+    name.className = 'bar-label';
+    name.textContent = label;
+    name.title = label;
+    
+    const track = document.createElement('span');
+    track.className = 'bar-track';
+    const bar = document.createElement('span');
+    bar.className = 'bar-fill';
+    bar.style.width = `${(value / max) * 100}%`;
+    track.appendChild(bar);
+    
+    const count = document.createElement('span');
+    count.className = 'bar-value';
+    count.textContent = value;
+    
+    row.appendChild(name);
+    row.appendChild(track);
+    row.appendChild(count);
+    container.appendChild(row);
+  });
+}
+
+// ============================================
+// SLIDESHOW
+// ============================================
+
+/**
+ * Reads the slideshow settings
+ * @returns {Object} { interval, transition }
+ */
+function getSlideshowConfig() {
+  return { ...DEFAULT_SLIDESHOW_CONFIG, ...getSetting(SLIDESHOW_CONFIG_KEY, {}) };
+}
+
+/**
+ * Opens the full-screen slideshow of the quotes matching the active filter
+ * Quotes are picked with the chosen rotation strategy
+ */
+function startSlideshow() {
+  if (getFilteredQuotes().length === 0) {
+    alert('No quotes match the current filter!');
+    return;
+  }
+  
+  const overlay = document.getElementById('slideshow');
+  const config = getSlideshowConfig();
+  
+  slideshow = {
+    timer: null,
+    paused: false,
+    pausedWhileHidden: false,
+    shownIds: [],
+    position: -1,
+    usedFullscreen: false
+  };
+  
+  renderSlideshowControls(config);
+  overlay.style.display = 'flex';
+  document.addEventListener('keydown', handleSlideshowKey);
+  
+  // Kiosk mode: fill the screen when the browser allows it
+  if (overlay.requestFullscreen) {
+    overlay.requestFullscreen()
+      .then(() => {
+        if (slideshow) {
+          slideshow.usedFullscreen = true;
+        }
+      })
+      .catch(error => console.warn('Fullscreen unavailable:', error.message));
+  }
+  
+  showNextSlide();
+  console.log('Slideshow started');
+}
+
+/**
+ * Fills the interval and transition dropdowns of the slideshow
+ */
+function renderSlideshowControls(config) {
+  const intervalSelect = document.getElementById('slideshowInterval');
+  const transitionSelect = document.getElementById('slideshowTransition');
+  
+  intervalSelect.innerHTML = '';
+  SLIDESHOW_INTERVALS.forEach(seconds => {
+    const option = document.createElement('option');
+    option.value = seconds;
+    option.textContent = `Every ${seconds} s`;
+    intervalSelect.appendChild(option);
+  });
+  intervalSelect.value = config.interval;
+  
+  transitionSelect.innerHTML = '';
+  Object.entries(QUOTE_TRANSITIONS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    transitionSelect.appendChild(option);
+  });
+  transitionSelect.value = config.transition;
+  
+  updateSlideshowStatus();
+}
+
+/**
+ * Saves the interval and transition chosen in the slideshow
+ * A new interval applies from the next slide
+ */
+function saveSlideshowConfig() {
+  setSetting(SLIDESHOW_CONFIG_KEY, {
+    interval: Number(document.getElementById('slideshowInterval').value),
+    transition: document.getElementById('slideshowTransition').value
+  });
+  
+  scheduleNextSlide();
+  updateSlideshowStatus();
+}
+
+/**
+ * Shows the next slide: forward through slides already seen after going
+ * back, otherwise a new quote from the rotation
+ */
+function showNextSlide() {
+  if (!slideshow) {
+    return;
+  }
+  
+  let quote = null;
+  
+  if (slideshow.position < slideshow.shownIds.length - 1) {
+    slideshow.position++;
+    quote = findQuoteById(slideshow.shownIds[slideshow.position]);
+  }
+  
+  if (!quote) {
+    const candidates = getFilteredQuotes();
+    
+    if (candidates.length > 0) {
+      quote = chooseNextQuote(candidates, slideshow.shownIds[slideshow.position]);
+      slideshow.shownIds = slideshow.shownIds.slice(0, slideshow.position + 1);
+      slideshow.shownIds.push(quote.id);
+      slideshow.position = slideshow.shownIds.length - 1;
+    }
+  }
+  
+  renderSlide(quote);
+  scheduleNextSlide();
+}
+
+/**
+ * Goes back to the previous slide, if there is one
+ */
+function showPreviousSlide() {
+  if (!slideshow || slideshow.position <= 0) {
+    return;
+  }
+  
+  slideshow.position--;
+  renderSlide(findQuoteById(slideshow.shownIds[slideshow.position]));
+  scheduleNextSlide();
+}
+
+/**
+ * Shows a quote on the slideshow screen
+ * @param {Object|null} quote - null if it no longer exists or nothing matches
+ */
+function renderSlide(quote) {
+  const container = document.getElementById('slideshowQuote');
+  
+  if (!quote) {
+    container.innerHTML = '<p class="empty-quote">No quotes match the current filter.</p>';
+    return;
+  }
+  
+  displayQuote(quote, { container, transition: getSlideshowConfig().transition });
+}
+
+/**
+ * Starts the timer for the next slide, replacing any running one
+ */
+function scheduleNextSlide() {
+  if (!slideshow) {
+    return;
+  }
+  
+  clearTimeout(slideshow.timer);
+  slideshow.timer = null;
+  
+  if (!slideshow.paused) {
+    slideshow.timer = setTimeout(showNextSlide, getSlideshowConfig().interval * 1000);
+  }
+}
+
+/**
+ * Pauses or resumes the slideshow
+ */
+function toggleSlideshowPause() {
+  if (!slideshow) {
+    return;
+  }
+  
+  slideshow.paused = !slideshow.paused;
+  slideshow.pausedWhileHidden = false;
+  scheduleNextSlide();
+  updateSlideshowStatus();
+}
+
+/**
+ * Pauses the slideshow while the page is hidden and resumes it afterwards
+ * A slideshow the user paused stays paused
+ */
+function handleSlideshowVisibility() {
+  if (!slideshow) {
+    return;
+  }
+  
+  if (document.hidden && !slideshow.paused) {
+    slideshow.paused = true;
+    slideshow.pausedWhileHidden = true;
+    scheduleNextSlide();
+    console.log('Slideshow paused while hidden');
+  } else if (!document.hidden && slideshow.pausedWhileHidden) {
+    slideshow.paused = false;
+    slideshow.pausedWhileHidden = false;
+    scheduleNextSlide();
+    console.log('Slideshow resumed');
+  }
+  
+  updateSlideshowStatus();
+}
+
+/**
+ * Shows whether the slideshow is running and what it is showing
+ */
+function updateSlideshowStatus() {
+  if (!slideshow) {
+    return;
+  }
+  
+  const filter = describeFilter(activeFilter) || 'all quotes';
+  const state = slideshow.paused ? 'Paused' : `Every ${getSlideshowConfig().interval} seconds`;
+  
+  document.getElementById('slideshowPause').textContent = slideshow.paused ? 'Resume' : 'Pause';
+  document.getElementById('slideshowStatus').textContent =
+    `${state} · ${filter} · Space: pause, ←/→: previous/next, Esc: exit`;
+}
+
+/**
+ * Closes the slideshow and leaves full screen
+ */
+function exitSlideshow() {
+  if (!slideshow) {
+    return;
+  }
+  
+  clearTimeout(slideshow.timer);
+  const usedFullscreen = slideshow.usedFullscreen;
+  slideshow = null;
+  
+  document.getElementById('slideshow').style.display = 'none';
+  document.removeEventListener('keydown', handleSlideshowKey);
+  
+  if (usedFullscreen && document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  }
+  
+  console.log('Slideshow stopped');
+}
+
+/**
+ * Closes the slideshow when the browser leaves full screen (e.g. on Esc)
+ */
+function handleSlideshowFullscreenChange() {
+  if (slideshow && slideshow.usedFullscreen && !document.fullscreenElement) {
+    exitSlideshow();
+  }
+}
+
+/**
+ * Keyboard controls while the slideshow is open
+ */
+function handleSlideshowKey(event) {
+  // Let the dropdowns in the control bar use their own keys
+  if (event.target.tagName === 'SELECT') {
+    return;
+  }
+  
+  const actions = {
+    ' ': toggleSlideshowPause,
+    ArrowRight: showNextSlide,
+    PageDown: showNextSlide,
+    ArrowLeft: showPreviousSlide,
+    PageUp: showPreviousSlide,
+    Escape: exitSlideshow
+  };
+  
+  const action = actions[event.key];
+  if (action) {
+    event.preventDefault();
+    action();
+  }
+}
+
+// ============================================
+// QUOTE OF THE DAY
+// ============================================
+
+/**
+ * Reads the Quote of the Day settings
+ * @returns {Object} { seed, category } - an empty category means any
+ */
+function getQotdConfig() {
+  return { seed: '', category: '', ...getSetting(QOTD_CONFIG_KEY, {}) };
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ */
+function toDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Hashes a string to an unsigned 32-bit number (FNV-1a)
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Works out the quote for a date from the date and seed alone
+ * Candidates are ordered by content, not storage order or ID: IDs of seeded
+ * and imported quotes differ between devices, content doesn't
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} config - From getQotdConfig()
+ * @returns {Object|null} The quote, or null if there are no candidates
+ */
+function computeQuoteOfTheDay(dateKey, config) {
+  const sortKey = q => `${q.text}|${q.author || ''}|${q.category}|${q.id}`;
+  const candidates = quotes
+    .filter(q => !config.category || q.category === config.category)
+    .map(q => ({ quote: q, key: sortKey(q) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ quote }) => quote);
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  return candidates[hashString(`${config.seed}|${dateKey}`) % candidates.length];
+}
+
+/**
+ * Returns the Quote of the Day for a date
+ * Today's first pick is remembered, so adding or removing other quotes
+ * doesn't change a day's quote after the fact. Past days that were never
+ * shown are worked out from the current quotes but not stored, so the
+ * history only holds quotes that were actually seen
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object|null} { date, quote } with a copy of the quote
+ */
+function getQuoteOfTheDay(dateKey) {
+  const history = getSetting(QOTD_HISTORY_KEY, []);
+  const stored = history.find(entry => entry.date === dateKey);
+  
+  if (stored) {
+    // Prefer the live quote so edits show up
+    return { date: dateKey, quote: findQuoteById(stored.quote.id) || stored.quote };
+  }
+  
+  const quote = computeQuoteOfTheDay(dateKey, getQotdConfig());
+  if (!quote) {
+    return null;
+  }
+  
+  const entry = { date: dateKey, quote: { ...quote } };
+  if (dateKey !== toDateKey(new Date())) {
+    return entry;
+  }
+  
+  // The cutoff keeps the history short
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - QOTD_HISTORY_DAYS + 1);
+  
+  setSetting(QOTD_HISTORY_KEY, [...history, entry]
+    .filter(e => e.date >= toDateKey(cutoff))
+    .sort((a, b) => a.date.localeCompare(b.date)));
+  
+  return entry;
+}
+
+/**
+ * Sets up the Quote of the Day card and its settings
+ */
+function initQuoteOfTheDay() {
+  const config = getQotdConfig();
+  document.getElementById('qotdSeed').value = config.seed;
+  
+  document.getElementById('qotdPrev').addEventListener('click', () => browseQuoteOfTheDay(-1));
+  document.getElementById('qotdNext').addEventListener('click', () => browseQuoteOfTheDay(1));
+  document.getElementById('qotdShow').addEventListener('click', showQuoteOfTheDayInDisplay);
+  document.getElementById('saveQotdSettings').addEventListener('click', saveQotdSettings);
+  
+  renderQotdCategories();
+  renderQuoteOfTheDay();
+}
+
+/**
+ * Fills the category limit dropdown
+ */
+function renderQotdCategories() {
+  const select = document.getElementById('qotdCategory');
+  const selected = getQotdConfig().category;
+  const categories = [...new Set([...quotes.map(q => q.category), selected].filter(Boolean))].sort();
+  
+  select.innerHTML = '<option value="">Any category</option>';
+  categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category;
+    select.appendChild(option);
+  });
+  select.value = selected;
+}
+
+/**
+ * Shows the Quote of the Day for the browsed date
+ */
+function renderQuoteOfTheDay() {
+  const date = new Date();
+  date.setDate(date.getDate() + qotdOffset);
+  const dateKey = toDateKey(date);
+  
+  const entry = getQuoteOfTheDay(dateKey);
+  const container = document.getElementById('qotdQuote');
+  container.innerHTML = '';
+  
+  document.getElementById('qotdDate').textContent = qotdOffset === 0
+    ? `Today, ${date.toLocaleDateString()}`
+    : date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  
+  if (entry) {
+    const text = document.createElement('p');
+    text.className = 'quote-text';
+    text.textContent = `"${entry.quote.text}"`;
+    
+    const attribution = document.createElement('p');
+    attribution.className = 'quote-category';
+    attribution.textContent = `— ${[formatAttribution(entry.quote), entry.quote.category].filter(Boolean).join(' · ')}`;
+    
+    container.appendChild(text);
+    container.appendChild(attribution);
+  } else {
+    container.innerHTML = '<p class="empty-quote">No quotes to choose from.</p>';
+  }
+  
+  document.getElementById('qotdPrev').disabled = qotdOffset <= -(QOTD_HISTORY_DAYS - 1);
+  document.getElementById('qotdNext').disabled = qotdOffset >= 0;
+  document.getElementById('qotdShow').disabled = !entry;
+}
+
+/**
+ * Moves to an earlier or later day, up to today
+ * @param {number} step - -1 for the previous day, 1 for the next
+ */
+function browseQuoteOfTheDay(step) {
+  qotdOffset = Math.min(0, Math.max(-(QOTD_HISTORY_DAYS - 1), qotdOffset + step));
+  renderQuoteOfTheDay();
+}
+
+/**
+ * Shows the browsed Quote of the Day in the main display
+ */
+function showQuoteOfTheDayInDisplay() {
+  const date = new Date();
+  date.setDate(date.getDate() + qotdOffset);
+  const entry = getQuoteOfTheDay(toDateKey(date));
+  
+  if (entry) {
+    displayQuote(entry.quote);
+    saveLastQuote(entry.quote);
+  }
+}
+
+/**
+ * Saves the seed and category limit
+ * Today's quote is picked again with the new settings; earlier days keep theirs
+ */
+function saveQotdSettings() {
+  const config = {
+    seed: document.getElementById('qotdSeed').value.trim(),
+    category: document.getElementById('qotdCategory').value
+  };
+  
+  setSetting(QOTD_CONFIG_KEY, config);
+  forgetTodaysQuoteOfTheDay();
+  
+  qotdOffset = 0;
+  renderQuoteOfTheDay();
+  showNotification('Quote of the Day settings saved!');
+  console.log('Quote of the Day settings:', config);
+}
+
+/**
+ * Forgets today's pick so it is made again from the current collection
+ * Earlier days keep theirs
+ */
+function forgetTodaysQuoteOfTheDay() {
+  const today = toDateKey(new Date());
+  setSetting(QOTD_HISTORY_KEY, getSetting(QOTD_HISTORY_KEY, []).filter(entry => entry.date !== today));
+}
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+// Snapshot currently open in the compare dialog
+let openSnapshot = null;
+
+/**
+ * Reads all snapshots, newest first
+ * @returns {Promise<Array>} Records of { id, createdAt, reason, kind, count, quotes }
+ */
+async function loadSnapshots() {
+  if (!db) {
+    return [];
+  }
+  
+  const snapshots = await runTransaction([SNAPSHOTS_STORE], 'readonly', transaction => {
+    const request = transaction.objectStore(SNAPSHOTS_STORE).index('createdAt').getAll();
+    return () => request.result;
+  });
+  
+  return snapshots.reverse();
+}
+
+/**
+ * Stores a copy of the current collection and applies the retention rules
+ * Failures are logged but never block the operation being protected
+ * @param {string} reason - Shown in the snapshot list, e.g. 'Before bulk delete'
+ * @param {string} kind - 'event', 'manual' or 'daily'
+ */
+async function takeSnapshot(reason, kind = 'event') {
+  if (!db) {
+    console.warn('Snapshot skipped - storage is unavailable');
+    return;
+  }
+  
+  const snapshot = {
+    id: `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+    reason,
+    kind,
+    count: quotes.length,
+    quotes: snapshotQuotes()
+  };
+  
+  try {
+    await runTransaction([SNAPSHOTS_STORE], 'readwrite', transaction => {
+      transaction.objectStore(SNAPSHOTS_STORE).put(snapshot);
+    });
+    await pruneSnapshots();
+    console.log('Snapshot taken:', reason, '-', snapshot.count, 'quotes');
+  } catch (error) {
+    console.error('Error taking snapshot:', error);
+  }
+  
+  renderSnapshotList();
+  
+  if (kind === 'manual') {
+    showNotification('Snapshot saved.');
+  }
+}
+
+/**
+ * Deletes snapshots beyond the retention limits
+ * Keeps the newest SNAPSHOT_LIMIT event and manual snapshots of each reason,
+ * and daily snapshots from the last DAILY_SNAPSHOT_DAYS days. Counting per
+ * reason means frequent syncs can't push out e.g. the snapshot taken before
+ * a bulk delete
+ */
+async function pruneSnapshots() {
+  const snapshots = await loadSnapshots();
+  const dailyCutoff = Date.now() - DAILY_SNAPSHOT_DAYS * 24 * 60 * 60 * 1000;
+  const keptPerReason = new Map();
+  
+  const expired = snapshots.filter(s => {
+    if (s.kind === 'daily') {
+      return s.createdAt < dailyCutoff;
+    }
+    
+    const kept = keptPerReason.get(s.reason) || 0;
+    keptPerReason.set(s.reason, kept + 1);
+    return kept >= SNAPSHOT_LIMIT;
+  });
+  
+  if (expired.length === 0) {
+    return;
+  }
+  
+  await runTransaction([SNAPSHOTS_STORE], 'readwrite', transaction => {
+    const store = transaction.objectStore(SNAPSHOTS_STORE);
+    expired.forEach(snapshot => store.delete(snapshot.id));
+  });
+  console.log('Pruned', expired.length, 'old snapshots');
+}
+
+/**
+ * Takes the daily snapshot unless one was already taken today
+ */
+async function ensureDailySnapshot() {
+  try {
+    const today = new Date().toDateString();
+    const snapshots = await loadSnapshots();
+    
+    if (!snapshots.some(s => s.kind === 'daily' && new Date(s.createdAt).toDateString() === today)) {
+      await takeSnapshot('Daily snapshot', 'daily');
+    } else {
+      renderSnapshotList();
+    }
+  } catch (error) {
+    console.error('Error checking daily snapshot:', error);
+  }
+}
+
+/**
+ * Lists the snapshots with their time, reason and quote count
+ */
+async function renderSnapshotList() {
+  const list = document.getElementById('snapshotList');
+  let snapshots;
+  
+  try {
+    snapshots = await loadSnapshots();
+  } catch (error) {
+    console.error('Error loading snapshots:', error);
+    return;
+  }
+  
+  list.innerHTML = '';
+  
+  if (snapshots.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-quote';
+    empty.textContent = db ? 'No snapshots yet.' : 'Snapshots need storage, which is unavailable.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  snapshots.forEach(snapshot => {
+    const item = document.createElement('li');
+    item.className = 'quote-list-item';
+    
+    const details = document.createElement('div');
+    details.className = 'quote-list-details';
+    
+    const reason = document.createElement('span');
+    reason.className = 'quote-list-text';
+    reason.textContent = snapshot.reason;
+    
+    const meta = document.createElement('span');
+    meta.className = 'quote-list-category';
+    meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${snapshot.count} quotes`;
+    
+    details.appendChild(reason);
+    details.appendChild(meta);
+    
+    const actions = document.createElement('div');
+    actions.className = 'quote-list-actions';
+    
+    const compareButton = document.createElement('button');
+    compareButton.textContent = 'Compare & Restore';
+    compareButton.onclick = () => openSnapshotDialog(snapshot);
+    
+    actions.appendChild(compareButton);
+    item.appendChild(details);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Compares a snapshot with the current collection
+ * @returns {Array} Differences of { id, type, snapshotQuote, currentQuote } where
+ *   type is 'missing' (only in the snapshot), 'changed' or 'added' (only now)
+ */
+function diffSnapshot(snapshot) {
+  const currentById = new Map(quotes.map(q => [q.id, q]));
+  const snapshotIds = new Set(snapshot.quotes.map(q => q.id));
+  const differences = [];
+  
+  snapshot.quotes.forEach(snapshotQuote => {
+    const currentQuote = currentById.get(snapshotQuote.id);
+    if (!currentQuote) {
+      differences.push({ id: snapshotQuote.id, type: 'missing', snapshotQuote, currentQuote: null });
+    } else if (quotesDiffer(snapshotQuote, currentQuote)) {
+      differences.push({ id: snapshotQuote.id, type: 'changed', snapshotQuote, currentQuote });
+    }
+  });
+  
+  quotes.filter(q => !snapshotIds.has(q.id)).forEach(currentQuote => {
+    differences.push({ id: currentQuote.id, type: 'added', snapshotQuote: null, currentQuote });
+  });
+  
+  return differences;
+}
+
+/**
+ * Opens the compare dialog for a snapshot
+ * Quotes missing or changed since the snapshot start selected for restore;
+ * quotes added since have to be ticked to be removed
+ */
+function openSnapshotDialog(snapshot) {
+  openSnapshot = snapshot;
+  
+  const differences = diffSnapshot(snapshot);
+  const list = document.getElementById('snapshotDiffList');
+  const labels = { missing: 'Missing now', changed: 'Changed since', added: 'Added since' };
+  
+  document.getElementById('snapshotDialogSummary').textContent =
+    `${snapshot.reason}, ${new Date(snapshot.createdAt).toLocaleString()}: ` +
+    `${snapshot.count} quotes then, ${quotes.length} now, ${differences.length} differences.`;
+  document.getElementById('restoreSelected').disabled = differences.length === 0;
+  
+  list.innerHTML = '';
+  
+  if (differences.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'empty-quote';
+    empty.textContent = 'The snapshot matches the current quotes.';
+    list.appendChild(empty);
+  }
+  
+  differences.forEach(difference => {
+    const item = document.createElement('li');
+    item.className = `quote-list-item import-row snapshot-${difference.type}`;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = difference.id;
+    checkbox.checked = difference.type !== 'added';
+    checkbox.setAttribute('aria-label', difference.type === 'added' ? 'Remove this quote' : 'Restore this quote');
+    
+    const status = document.createElement('span');
+    status.className = 'import-status';
+    status.textContent = labels[difference.type];
+    
+    const details = document.createElement('div');
+    details.className = 'quote-list-details';
+    
+    const text = document.createElement('span');
+    text.className = 'quote-list-text';
+    if (difference.type === 'changed') {
+      // Snapshot wording on top, current below, with the differences marked
+      const segments = diffWords(difference.currentQuote.text, difference.snapshotQuote.text);
+      const now = document.createElement('span');
+      now.className = 'snapshot-current';
+      renderDiffSide(text, segments, 'server');
+      renderDiffSide(now, segments, 'local');
+      details.appendChild(text);
+      details.appendChild(now);
+    } else {
+      text.textContent = (difference.snapshotQuote || difference.currentQuote).text;
+      details.appendChild(text);
+    }
+    
+    const quote = difference.snapshotQuote || difference.currentQuote;
+    const meta = document.createElement('span');
+    meta.className = 'quote-list-category';
+    meta.textContent = [quote.category, formatAttribution(quote), formatTags(quote.tags)].filter(Boolean).join(' · ');
+    details.appendChild(meta);
+    
+    item.appendChild(checkbox);
+    item.appendChild(status);
+    item.appendChild(details);
+    list.appendChild(item);
+  });
+  
+  document.getElementById('snapshotDialog').style.display = 'flex';
+}
+
+/**
+ * Closes the compare dialog
+ */
+function closeSnapshotDialog() {
+  document.getElementById('snapshotDialog').style.display = 'none';
+  openSnapshot = null;
+}
+
+/**
+ * Restores the quotes ticked in the compare dialog
+ */
+function restoreSelectedFromSnapshot() {
+  const ids = [...document.querySelectorAll('#snapshotDiffList input[type="checkbox"]:checked')]
+    .map(checkbox => checkbox.value);
+  
+  if (ids.length === 0) {
+    alert('Select the quotes to restore first!');
+    return;
+  }
+  
+  restoreFromSnapshot(openSnapshot, new Set(ids));
+}
+
+/**
+ * Brings quotes back to their state in a snapshot
+ * The current collection is snapshotted first and the restore can be undone
+ * @param {Object} snapshot - Snapshot to restore from
+ * @param {Set<string>|null} ids - Quotes to restore, or null for all of them
+ */
+async function restoreFromSnapshot(snapshot, ids) {
+  if (!snapshot) {
+    return;
+  }
+  
+  const differences = diffSnapshot(snapshot).filter(difference => !ids || ids.has(difference.id));
+  
+  if (differences.length === 0) {
+    showNotification('Nothing to restore - the quotes already match.');
+    closeSnapshotDialog();
+    return;
+  }
+  
+  if (!ids && !confirm(`Replace your ${quotes.length} quotes with the ${snapshot.count} from this snapshot?`)) {
+    return;
+  }
+  
+  await takeSnapshot('Before restore');
+  
+  const snapshotIndex = new Map(snapshot.quotes.map((q, index) => [q.id, index]));
+  const before = snapshotQuotes();
+  const changes = differences.map(difference => ({
+    id: difference.id,
+    after: difference.snapshotQuote,
+    afterIndex: snapshotIndex.get(difference.id) ?? -1
+  }));
+  
+  await applyHistoryChanges(changes, 'after');
+  const change = recordHistory(ids ? 'Partial restore' : 'Restore snapshot', before);
+  
+  closeSnapshotDialog();
+  showNotification(`Restored ${differences.length} quotes from the snapshot.`, undoAction(change));
+  console.log('Restored', differences.length, 'differences from snapshot', snapshot.id);
+}
+
+// ============================================
+// QUOTE ROTATION
+// ============================================
+
+/**
+ * Returns the weight of a quote in weighted rotation: its assigned weight,
+ * boosted for favorites
+ */
+function getQuoteWeight(quote) {
+  return getAssignedWeight(quote) * (quote.favorite ? FAVORITE_WEIGHT_MULTIPLIER : 1);
+}
+
+/**
+ * Returns the weight set on a quote, as shown and edited
+ */
+function getAssignedWeight(quote) {
+  return quote.weight ?? MIN_QUOTE_WEIGHT;
+}
+
+/**
+ * Checks a quote weight
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWeight(weight) {
+  if (!Number.isInteger(weight) || weight < MIN_QUOTE_WEIGHT || weight > MAX_QUOTE_WEIGHT) {
+    return `The weight must be a whole number from ${MIN_QUOTE_WEIGHT} to ${MAX_QUOTE_WEIGHT}!`;
+  }
+  return null;
+}
+
+/**
+ * Fills the rotation strategy dropdown and selects the saved strategy
+ */
+function renderRotationStrategies() {
+  const select = document.getElementById('rotationStrategy');
+  select.innerHTML = '';
+  
+  Object.entries(ROTATION_STRATEGIES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  select.value = getRotationStrategy();
+}
+
+/**
+ * Returns the chosen rotation strategy
+ */
+function getRotationStrategy() {
+  const strategy = getSetting(ROTATION_STRATEGY_KEY, 'random');
+  return ROTATION_STRATEGIES[strategy] ? strategy : 'random';
+}
+
+/**
+ * Saves the strategy chosen in the dropdown
+ */
+function changeRotationStrategy() {
+  const strategy = document.getElementById('rotationStrategy').value;
+  setSetting(ROTATION_STRATEGY_KEY, strategy);
+  console.log('Rotation strategy:', strategy);
+}
+
+/**
+ * Reads the rotation state
+ *   filters: per filter key, the shuffle bag and the last quote shown
+ * When each quote was last shown is kept on the quote itself (lastShownAt)
+ */
+function loadRotationState() {
+  const stored = getSetting(ROTATION_STATE_KEY);
+  return {
+    filters: stored?.filters || {}
+  };
+}
+
+/**
+ * Saves the rotation state, keeping only the most recently used filters
+ */
+function saveRotationState(state) {
+  const filters = Object.entries(state.filters)
+    .sort((a, b) => b[1].usedAt - a[1].usedAt)
+    .slice(0, ROTATION_FILTER_LIMIT);
+  
+  setSetting(ROTATION_STATE_KEY, {
+    filters: Object.fromEntries(filters)
+  });
+}
+
+/**
+ * Picks the next quote to show with the chosen strategy
+ * The rotation state of the active filter is updated and saved
+ * @param {Array} candidates - Quotes matching the active filter (not empty)
+ * @param {string} [shownId] - Quote on screen now (default: the main display's)
+ * @returns {Object} The quote to show
+ */
+function chooseNextQuote(candidates, shownId) {
+  const state = loadRotationState();
+  const key = filterKey(activeFilter);
+  const filterState = state.filters[key] || { bag: [], lastId: null };
+  
+  // Avoid showing the quote that is on screen right now, if possible
+  const currentId = shownId ?? getLastQuote()?.id ?? filterState.lastId;
+  const others = candidates.length > 1 ? candidates.filter(q => q.id !== currentId) : candidates;
+  
+  let quote;
+  switch (getRotationStrategy()) {
+    case 'shuffle':
+      quote = takeFromShuffleBag(candidates, filterState, currentId);
+      break;
+    case 'sequential': {
+      const index = candidates.findIndex(q => q.id === filterState.lastId);
+      quote = candidates[(index + 1) % candidates.length];
+      break;
+    }
+    case 'weighted':
+      quote = pickWeighted(others);
+      break;
+    case 'least-recent': {
+      const oldest = Math.min(...others.map(q => q.lastShownAt || 0));
+      const leastRecent = others.filter(q => (q.lastShownAt || 0) === oldest);
+      quote = leastRecent[Math.floor(Math.random() * leastRecent.length)];
+      break;
+    }
+    default:
+      quote = others[Math.floor(Math.random() * others.length)];
+  }
+  
+  filterState.lastId = quote.id;
+  filterState.usedAt = Date.now();
+  state.filters[key] = filterState;
+  saveRotationState(state);
+  
+  return quote;
+}
+
+/**
+ * Takes the next quote from the filter's shuffle bag, refilling it once empty
+ * Every quote is shown once before any repeats
+ */
+function takeFromShuffleBag(candidates, filterState, currentId) {
+  const candidateIds = new Set(candidates.map(q => q.id));
+  
+  // Drop quotes that were deleted or no longer match the filter
+  filterState.bag = filterState.bag.filter(id => candidateIds.has(id));
+  
+  if (filterState.bag.length === 0) {
+    const ids = candidates.map(q => q.id);
+    
+    // Fisher-Yates shuffle
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    
+    // Don't start the new round with the quote that ended the last one
+    if (ids.length > 1 && ids[0] === currentId) {
+      [ids[0], ids[ids.length - 1]] = [ids[ids.length - 1], ids[0]];
+    }
+    
+    filterState.bag = ids;
+  }
+  
+  return findQuoteById(filterState.bag.shift());
+}
+
+/**
+ * Picks a quote at random, in proportion to its weight
+ */
+function pickWeighted(candidates) {
+  const total = candidates.reduce((sum, q) => sum + getQuoteWeight(q), 0);
+  let target = Math.random() * total;
+  
+  for (const quote of candidates) {
+    target -= getQuoteWeight(quote);
+    if (target < 0) {
+      return quote;
+    }
+  }
+  
+  return candidates[candidates.length - 1];
+}
+
+// ============================================
+// FULL-TEXT SEARCH
+// ============================================
+
+/**
+ * In-memory inverted index over quote text, category, author, source and tags
+ *   postings:     token -> Map(quoteId -> weighted term frequency)
+ *   documents:    quoteId -> { signature, tokens } for incremental updates
+ *   sortedTokens: all tokens in order, for prefix lookups (rebuilt lazily)
+ */
+const searchIndex = {
+  postings: new Map(),
+  documents: new Map(),
+  sortedTokens: null
+};
+
+/**
+ * Lowercases text and strips accents so "Café" matches "cafe"
+ */
+function normalizeSearchText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Splits text into normalized word tokens
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Adds a quote to the search index, replacing any previous entry
+ * Does nothing if the indexed fields have not changed
+ * @param {Object} quote - Quote to index
+ */
+function indexQuote(quote) {
+  const fields = Object.keys(SEARCH_FIELD_WEIGHTS);
+  const fieldText = field => [].concat(quote[field] || []).join(' ');
+  const signature = fields.map(fieldText).join('\u0000');
+  const existing = searchIndex.documents.get(quote.id);
+  
+  if (existing && existing.signature === signature) {
+    return;
+  }
+  if (existing) {
+    unindexQuote(quote.id);
+  }
+  
+  const weights = new Map();
+  fields.forEach(field => {
+    if (quote[field]) {
+      tokenize(fieldText(field)).forEach(token => {
+        weights.set(token, (weights.get(token) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+      });
+    }
+  });
+  
+  weights.forEach((weight, token) => {
+    if (!searchIndex.postings.has(token)) {
+      searchIndex.postings.set(token, new Map());
+      searchIndex.sortedTokens = null;
+    }
+    searchIndex.postings.get(token).set(quote.id, weight);
+  });
+  
+  searchIndex.documents.set(quote.id, { signature, tokens: [...weights.keys()] });
+}
+
+/**
+ * Removes a quote from the search index
+ * @param {string} id - ID of the quote to remove
+ */
+function unindexQuote(id) {
+  const entry = searchIndex.documents.get(id);
+  if (!entry) {
+    return;
+  }
+  
+  entry.tokens.forEach(token => {
+    const posting = searchIndex.postings.get(token);
+    posting.delete(id);
+    if (posting.size === 0) {
+      searchIndex.postings.delete(token);
+      searchIndex.sortedTokens = null;
+    }
+  });
+  
+  searchIndex.documents.delete(id);
+}
+
+/**
+ * Brings the index in line with the quotes array after bulk changes
+ * Only quotes that were added, edited or removed are re-tokenized
+ */
+function syncSearchIndex() {
+  const currentIds = new Set();
+  
+  quotes.forEach(quote => {
+    currentIds.add(quote.id);
+    indexQuote(quote);
+  });
+  
+  [...searchIndex.documents.keys()]
+    .filter(id => !currentIds.has(id))
+    .forEach(unindexQuote);
+}
+
+/**
+ * Finds all indexed tokens starting with a prefix
+ * Uses binary search over the sorted token list
+ */
+function tokensWithPrefix(prefix) {
+  if (!searchIndex.sortedTokens) {
+    searchIndex.sortedTokens = [...searchIndex.postings.keys()].sort();
+  }
+  
+  const tokens = searchIndex.sortedTokens;
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tokens[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  
+  const matches = [];
+  for (let i = low; i < tokens.length && tokens[i].startsWith(prefix); i++) {
+    matches.push(tokens[i]);
+  }
+  return matches;
+}
+
+/**
+ * Searches quotes for every word of the query
+ * Each word matches whole tokens or token prefixes; results are ranked by
+ * field weight and term rarity, with exact word matches ranked above prefixes
+ * @param {string} query - Search text
+ * @returns {Object} { terms, results: [{ quote, score }] }
+ */
+function searchQuotes(query) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return { terms, results: [] };
+  }
+  
+  const documentCount = searchIndex.documents.size;
+  let scores = null;
+  
+  for (const term of terms) {
+    const termScores = new Map();
+    
+    tokensWithPrefix(term).forEach(token => {
+      const posting = searchIndex.postings.get(token);
+      const rarity = Math.log(1 + documentCount / posting.size);
+      const exactness = token === term ? 1 : 0.5;
+      
+      posting.forEach((weight, id) => {
+        termScores.set(id, (termScores.get(id) || 0) + weight * rarity * exactness);
+      });
+    });
+    
+    // Every query word has to match
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (termScores.has(id)) {
+          combined.set(id, score + termScores.get(id));
+        }
+      });
+      scores = combined;
+    }
+    
+    if (scores.size === 0) {
+      break;
+    }
+  }
+  
+  const results = [...scores]
+    .map(([id, score]) => ({ quote: findQuoteById(id), score }))
+    .filter(result => result.quote)
+    .sort((a, b) => b.score - a.score || a.quote.text.localeCompare(b.quote.text));
+  
+  return { terms, results };
+}
+
+/**
+ * Appends text to an element, wrapping words that match a search term in <mark>
+ * @param {HTMLElement} element - Target element
+ * @param {string} text - Text to render
+ * @param {Array<string>} terms - Normalized search terms
+ */
+function appendHighlighted(element, text, terms) {
+  String(text).split(/([\p{L}\p{N}\u0300-\u036f]+)/u).forEach(part => {
+    if (!part) {
+      return;
+    }
+    
+    const normalized = normalizeSearchText(part);
+    if (terms.some(term => normalized.startsWith(term))) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Runs the search shortly after the user stops typing
+ */
+function handleSearchInput() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(renderSearchResults, 150);
+}
+
+/**
+ * Renders results for the current search box contents
+ * Clicking a result shows it in the quote display
+ */
+function renderSearchResults() {
+  const query = document.getElementById('searchInput').value;
+  const list = document.getElementById('searchResults');
+  const summary = document.getElementById('searchSummary');
+  list.innerHTML = '';
+  
+  if (!query.trim()) {
+    summary.textContent = '';
+    return;
+  }
+  
+  const { terms, results } = searchQuotes(query);
+  
+  summary.textContent = results.length > SEARCH_RESULT_LIMIT
+    ? `Showing top ${SEARCH_RESULT_LIMIT} of ${results.length} matches`
+    : `${results.length} match${results.length === 1 ? '' : 'es'}`;
+  
+  results.slice(0, SEARCH_RESULT_LIMIT).forEach(({ quote }) => {
+    const item = document.createElement('li');
+    item.className = 'quote-list-item search-result';
+    item.tabIndex = 0;
+    
+    const details = document.createElement('div');
+    details.className = 'quote-list-details';
+    
+    const text = document.createElement('span');
+    text.className = 'quote-list-text';
+    appendHighlighted(text, quote.text, terms);
+    
+    const meta = document.createElement('span');
+    meta.className = 'quote-list-category';
+    const metaParts = [quote.category, formatAttribution(quote), formatTags(quote.tags)].filter(Boolean);
+    appendHighlighted(meta, metaParts.join(' · '), terms);
+    
+    details.appendChild(text);
+    details.appendChild(meta);
+    item.appendChild(details);
+    
+    const show = () => {
+      displayQuote(quote);
+      saveLastQuote(quote);
+    };
+    item.addEventListener('click', show);
+    item.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        show();
+      }
+    });
+    
+    list.appendChild(item);
+  });
+}
+
+// ============================================
+// MULTI-TAB COORDINATION
+// ============================================
+
+/**
+ * Connects this tab to the other open tabs of the app
+ * Messages go over a BroadcastChannel, or through localStorage 'storage'
+ * events where there is none; the sync leader lease also lives there
+ */
+function initTabCoordination() {
+  tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  
+  if (typeof BroadcastChannel === 'function') {
+    tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+    tabChannel.onmessage = event => handleTabMessage(event.data);
+  }
+  
+  window.addEventListener('storage', handleTabStorageEvent);
+  window.addEventListener('pagehide', resignSyncLeader);
+  
+  checkSyncLeader();
+  setInterval(checkSyncLeader, LEADER_HEARTBEAT_INTERVAL);
+  
+  console.log('Tab coordination started:', tabId, tabChannel ? '(BroadcastChannel)' : '(storage events)');
+}
+
+/**
+ * Sends a message to the other open tabs
+ * Nothing is sent while applying another tab's message, so changes don't
+ * bounce back and forth
+ * @param {Object} message - { type, ... }
+ */
+function broadcastTabMessage(message) {
+  if (!tabId || applyingTabMessage) {
+    return;
+  }
+  
+  const payload = { ...message, from: tabId };
+  
+  try {
+    if (tabChannel) {
+      tabChannel.postMessage(payload);
+    } else {
+      // A new nonce makes every message a change, so it always fires an event
+      localStorage.setItem(TAB_MESSAGE_KEY, JSON.stringify({ ...payload, nonce: Math.random() }));
+    }
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error.message);
+  }
+}
+
+/**
+ * Tells the other tabs that stored quotes changed
+ * Saves in quick succession are announced once
+ * @param {boolean} [quiet] - Other tabs update without a notice
+ */
+function announceQuotesChanged(quiet = false) {
+  if (applyingTabMessage) {
+    return;
+  }
+  
+  quotesBroadcastQuiet = quotesBroadcastQuiet && quiet;
+  clearTimeout(quotesBroadcastTimer);
+  quotesBroadcastTimer = setTimeout(() => {
+    broadcastTabMessage({ type: 'quotes-changed', quiet: quotesBroadcastQuiet });
+    quotesBroadcastTimer = null;
+    quotesBroadcastQuiet = true;
+  }, 50);
+}
+
+/**
+ * Passes on tab messages and lease changes seen as localStorage events
+ */
+function handleTabStorageEvent(event) {
+  if (event.key === SYNC_LEADER_KEY) {
+    checkSyncLeader();
+  } else if (event.key === TAB_MESSAGE_KEY && event.newValue && !tabChannel) {
+    try {
+      handleTabMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('Ignoring unreadable tab message:', error.message);
+    }
+  }
+}
+
+/**
+ * Applies a message from another tab
+ */
+function handleTabMessage(message) {
+  if (!message || message.from === tabId) {
+    return;
+  }
+  
+  switch (message.type) {
+    case 'quotes-changed':
+      reloadQuotesFromOtherTab(message.quiet);
+      break;
+    case 'setting-changed':
+      applySettingFromOtherTab(message);
+      break;
+    case 'outbox-changed':
+      applyOutboxFromOtherTab(message);
+      break;
+    case 'leader-resigned':
+      checkSyncLeader();
+      break;
+    default:
+      console.warn('Unknown tab message:', message.type);
+  }
+}
+
+/**
+ * Reloads the quotes another tab saved and refreshes everything shown
+ * @param {boolean} quiet - Skip the notice (e.g. only view counts changed)
+ */
+async function reloadQuotesFromOtherTab(quiet) {
+  const records = await readAllQuoteRecords();
+  
+  applyingTabMessage = true;
+  try {
+    quotes = records.map(record => record.quote);
+    quotePositions.clear();
+    records.forEach(record => quotePositions.set(record.id, record.position));
+    nextQuotePosition = records.reduce((max, record) => Math.max(max, record.position + 1), 0);
+    
+    syncSearchIndex();
+    refreshAfterQuoteChange();
+    
+    // Keep the displayed quote in step with its stored version
+    const lastQuote = getLastQuote();
+    const shown = lastQuote ? findQuoteById(lastQuote.id) : null;
+    if (lastQuote && !shown) {
+      sessionStorage.removeItem(LAST_QUOTE_KEY);
+      showRandomQuote();
+    } else if (shown && quotesDiffer(shown, lastQuote)) {
+      saveLastQuote(shown);
+      displayQuote(shown, { countView: false });
+    }
+  } finally {
+    applyingTabMessage = false;
+  }
+  
+  if (!quiet) {
+    showNotification('Quotes were changed in another tab.');
+  }
+  console.log('Reloaded', quotes.length, 'quotes changed in another tab');
+}
+
+/**
+ * Refreshes what depends on a setting another tab changed
+ * Settings without an entry only need the cached value
+ */
+const TAB_SETTING_HANDLERS = {
+  [ACTIVE_FILTER_KEY]: value => {
+    activeFilter = normalizeFilter(value);
+    populateCategories();
+    syncPresetSelection();
+    updateFilteredStats();
+    quoteListPage = 0;
+    renderQuoteList();
+  },
+  [FILTER_PRESETS_KEY]: () => renderFilterPresets(),
+  [HISTORY_KEY]: () => loadHistory(),
+  [ROTATION_STRATEGY_KEY]: () => renderRotationStrategies(),
+  [QOTD_CONFIG_KEY]: () => renderQuoteOfTheDay(),
+  [AUTO_SYNC_ENABLED_KEY]: value => {
+    if (value === true) {
+      startAutoSync();
+    } else {
+      stopAutoSync();
+    }
+    updateAutoSyncButton();
+  },
+  [SYNC_CONFIG_KEY]: () => {
+    loadSyncConfig();
+    renderSyncSettings();
+  },
+  [LAST_SYNC_TIME_KEY]: () => updateSyncStatusDisplay(),
+  [SYNC_LOG_KEY]: () => renderSyncLog(),
+  [SERVER_QUOTES_KEY]: () => updateSyncStatusDisplay(),
+  [SYNC_PROTOCOL_KEY]: () => updateSyncStatusDisplay(),
+  [QUOTE_SOURCES_KEY]: () => renderQuoteSources()
+};
+
+/**
+ * Stores a setting another tab changed and refreshes what depends on it
+ * @param {Object} message - { key, value, removed }
+ */
+function applySettingFromOtherTab({ key, value, removed }) {
+  if (removed) {
+    settingsCache.delete(key);
+  } else {
+    settingsCache.set(key, value);
+  }
+  
+  applyingTabMessage = true;
+  try {
+    if (TAB_SETTING_HANDLERS[key]) {
+      TAB_SETTING_HANDLERS[key](value);
+    }
+  } finally {
+    applyingTabMessage = false;
+  }
+}
+
+/**
+ * Reads the sync leader lease
+ * @returns {Object|null} { tabId, expiresAt }
+ */
+function readLeaderLease() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_LEADER_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Renews the lease if this tab leads, or takes it over once the leading
+ * tab stops renewing it
+ */
+function checkSyncLeader() {
+  const lease = readLeaderLease();
+  const now = Date.now();
+  
+  if (!lease || lease.tabId === tabId || lease.expiresAt < now) {
+    try {
+      localStorage.setItem(SYNC_LEADER_KEY, JSON.stringify({ tabId, expiresAt: now + LEADER_LEASE_DURATION }));
+    } catch (error) {
+      // Without localStorage there is no way to coordinate, so lead alone
+      console.warn('Could not store the sync leader lease:', error.message);
+      setSyncLeader(true);
+      return;
+    }
+  }
+  
+  // Another tab may have claimed the lease at the same moment; its write wins
+  setSyncLeader(readLeaderLease()?.tabId === tabId);
+}
+
+/**
+ * Records whether this tab leads; a new leader sends what is queued
+ */
+function setSyncLeader(leader) {
+  if (leader === isSyncLeader) {
+    return;
+  }
+  
+  isSyncLeader = leader;
+  console.log(leader ? 'This tab is now the sync leader' : 'Another tab is now the sync leader');
+  
+  if (leader) {
+    outbox = loadOutbox();
+    if (navigator.onLine) {
+      flushOutbox();
+    }
+    // Take over the schedule at once instead of waiting a full interval
+    if (autoSyncEnabled && !autoSyncPausedBy) {
+      scheduleAutoSync(0);
+    }
+  } else {
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = null;
+  }
+  
+  updateSyncStatusDisplay();
+}
+
+/**
+ * Gives up the lease when the tab closes so another tab takes over at once
+ */
+function resignSyncLeader() {
+  if (!isSyncLeader) {
+    return;
+  }
+  
+  if (readLeaderLease()?.tabId === tabId) {
+    localStorage.removeItem(SYNC_LEADER_KEY);
+  }
+  isSyncLeader = false;
+  broadcastTabMessage({ type: 'leader-resigned' });
+}
+
+// ============================================
+// SYNC BACKEND ADAPTERS
+// ============================================
+
+/**
+ * A sync adapter connects the sync engine to a quote backend.
+ * Every adapter is a plain object with these async methods:
+ *
+ *   fetchQuotes(options)            -> { quotes, serverTime }
+ *   fetchChangesSince(time, options) -> { quotes, deletedIds, serverTime }
+ *   pushQuotes(quotes)              -> { quotes, serverTime }  (bulk replace)
+ *   applyOperation(op)              -> { serverTime }
+ *   fetchCrdtState(options)         -> { state } or null  (optional)
+ *   pushCrdtState(state, options)   -> { state }          (optional)
+ *
+ * Backends that merge CRDT states (see CRDT QUOTE SET) answer
+ * fetchCrdtState() with their state and pushCrdtState() with the merge of
+ * theirs and the one sent. A null state means the backend only knows the
+ * quote list, and sync falls back to the three-way merge.
+ *
+ * The fetch and CRDT push options may hold an AbortSignal ({ signal }) that
+ * cancels the request; it then rejects with an 'AbortError'.
+ *
+ * applyOperation() sends one outbox entry: { type: 'add' | 'update' |
+ * 'delete', quoteId, quote }. Updates of unknown quotes create them and
+ * deletes of unknown quotes succeed, so operations can be safely retried.
+ *
+ * Quotes use the app's own schema: { id, text, category, tags, author?,
+ * source?, year?, updatedAt }.
+ * serverTime is an opaque cursor passed back to fetchChangesSince().
+ * Failures reject with an Error carrying an optional HTTP `status`.
+ */
+
+/**
+ * Validates and normalizes a quote received from a backend
+ * @param {Object} raw - Quote as sent by the server
+ * @returns {Object|null} Normalized quote, or null if invalid
+ */
+function normalizeServerQuote(raw) {
+  if (!raw || typeof raw !== 'object' ||
+      raw.id === undefined || raw.id === null ||
+      typeof raw.text !== 'string' || typeof raw.category !== 'string') {
+    return null;
+  }
+  
+  const updatedAt = typeof raw.updatedAt === 'string' ? Date.parse(raw.updatedAt) : raw.updatedAt;
+  
+  const quote = {
+    ...raw,
+    id: String(raw.id),
+    tags: normalizeTags(raw.tags),
+    updatedAt: Number.isFinite(updatedAt) ? updatedAt : 0
+  };
+  setAttribution(quote, normalizeAttribution(raw));
+  
+  setFeedback(quote, normalizeFeedback(raw));
+  
+  // Views counted on other devices don't count here
+  VIEW_STAT_FIELDS.forEach(field => delete quote[field]);
+  
+  return quote;
+}
+
+/**
+ * Normalizes a list of server quotes, dropping invalid entries
+ */
+function normalizeServerQuotes(list) {
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid server response: expected a list of quotes');
+  }
+  return list.map(normalizeServerQuote).filter(Boolean);
+}
+
+/**
+ * Creates an adapter for a REST server speaking the quote schema
+ *
+ *   GET  {endpoint}/quotes                  -> { quotes, serverTime }
+ *   GET  {endpoint}/quotes/changes?since=T  -> { quotes, deletedIds, serverTime }
+ *   PUT  {endpoint}/quotes  { quotes }      -> { quotes, serverTime }
+ *   PUT  {endpoint}/quotes/:id  quote        -> { serverTime }  (add, update)
+ *   DELETE {endpoint}/quotes/:id             -> { serverTime }
+ *   GET  {endpoint}/quotes/crdt              -> { state }  (404, 405 or 501 if unsupported)
+ *   POST {endpoint}/quotes/crdt  { state }   -> { state }  (merged)
+ *
+ * @param {string} endpoint - Base URL of the quote API
+ * @returns {Object} Sync adapter
+ */
+function createRestSyncAdapter(endpoint) {
+  const baseUrl = endpoint.replace(/\/+$/, '');
+  let lastStatus = null;
+  let crdtUnsupported = false;
+  
+  async function request(path, options = {}) {
+    // Requests that get no response, e.g. offline or cancelled, have no status
+    lastStatus = null;
+    
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+    
+    lastStatus = response.status;
+    
+    if (!response.ok) {
+      const error = new Error(`Server responded with status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    return response.json();
+  }
+  
+  // Servers may answer with a bare array instead of { quotes }
+  const toResult = data => ({
+    quotes: normalizeServerQuotes(Array.isArray(data) ? data : data.quotes),
+    deletedIds: (data.deletedIds || []).map(String),
+    serverTime: data.serverTime || null
+  });
+  
+  const toCrdtResult = data => {
+    const state = normalizeCrdtState(data && data.state);
+    if (!state) {
+      throw new Error('Invalid server response: expected a CRDT state');
+    }
+    return { state };
+  };
+  
+  return {
+    name: 'rest',
+    
+    // HTTP status of the most recent response, for the sync log
+    get lastStatus() {
+      return lastStatus;
+    },
+    
+    async fetchQuotes({ signal } = {}) {
+      return toResult(await request('/quotes', { signal }));
+    },
+    
+    async fetchChangesSince(since, { signal } = {}) {
+      return toResult(await request(`/quotes/changes?since=${encodeURIComponent(since)}`, { signal }));
+    },
+    
+    async pushQuotes(quotesToPush) {
+      return toResult(await request('/quotes', {
+        method: 'PUT',
+        body: JSON.stringify({ quotes: quotesToPush })
+      }));
+    },
+    
+    async applyOperation(op) {
+      const path = `/quotes/${encodeURIComponent(op.quoteId)}`;
+      
+      try {
+        const data = op.type === 'delete'
+          ? await request(path, { method: 'DELETE' })
+          : await request(path, { method: 'PUT', body: JSON.stringify(op.quote) });
+        return { serverTime: (data && data.serverTime) || null };
+      } catch (error) {
+        // Deleting something the server never had is not a failure
+        if (op.type === 'delete' && error.status === 404) {
+          return { serverTime: null };
+        }
+        throw error;
+      }
+    },
+    
+    async fetchCrdtState({ signal } = {}) {
+      if (crdtUnsupported) {
+        return null;
+      }
+      
+      let data;
+      try {
+        data = await request('/quotes/crdt', { signal });
+      } catch (error) {
+        // Older servers only know the quote list; don't ask them again.
+        // A body that isn't JSON is e.g. a catch-all HTML page
+        if ([404, 405, 501].includes(error.status) || error.name === 'SyntaxError') {
+          crdtUnsupported = true;
+          return null;
+        }
+        throw error;
+      }
+      
+      // Servers that answer with something else, e.g. the quote list, don't
+      // support it either
+      const state = normalizeCrdtState(data && data.state);
+      if (!state) {
+        console.warn('Server answered without a CRDT state - using three-way merge');
+        crdtUnsupported = true;
+        return null;
+      }
+      return { state };
+    },
+    
+    async pushCrdtState(state, { signal } = {}) {
+      return toCrdtResult(await request('/quotes/crdt', {
+        method: 'POST',
+        body: JSON.stringify({ state }),
+        signal
+      }));
+    }
+  };
+}
+
+/**
+ * Creates an in-process mock server for developing and testing sync offline
+ * Its data lives in localStorage so the sync base stays valid across reloads
+ * @param {Object} options
+ * @param {number} options.latency - Simulated response time in ms
+ * @param {number} options.errorRate - Probability (0-1) that a call fails
+ * @param {boolean} options.concurrentEdits - Simulate another client editing
+ *   the server data before each fetch
+ * @param {boolean} options.crdt - Merge CRDT states; otherwise the mock
+ *   behaves like a server that only knows the quote list
+ * @returns {Object} Sync adapter
+ */
+function createMockSyncAdapter({ latency = 0, errorRate = 0, concurrentEdits = false, crdt = false } = {}) {
+  const MOCK_REPLICA_ID = 'mock-server';
+  
+  function loadState() {
+    const stored = localStorage.getItem(MOCK_SERVER_KEY);
+    if (stored) {
+      try {
+        const state = JSON.parse(stored);
+        if (state.crdt) {
+          state.crdt = normalizeCrdtState(state.crdt) || createEmptyCrdtState();
+        }
+        return state;
+      } catch (error) {
+        console.error('Error parsing mock server data:', error);
+      }
+    }
+    
+    const now = Date.now();
+    return {
+      quotes: [
+        { id: 'mock-1', text: 'Simplicity is prerequisite for reliability.', category: 'Server', updatedAt: now },
+        { id: 'mock-2', text: 'Make it work, make it right, make it fast.', category: 'Server', updatedAt: now },
+        { id: 'mock-3', text: 'The best way to predict the future is to invent it.', category: 'Remote', updatedAt: now }
+      ],
+      deleted: []
+    };
+  }
+  
+  // Changes made through the quote-list methods are recorded in the CRDT
+  // state too, so both kinds of client see the same quotes
+  function saveState(state) {
+    if (state.crdt) {
+      state.crdt = recordQuotesInCrdt(state.crdt, state.quotes, MOCK_REPLICA_ID);
+    }
+    localStorage.setItem(MOCK_SERVER_KEY, JSON.stringify(state));
+  }
+  
+  // Replaces the quote list, recording deletions and stamping changed quotes
+  // so clients fetching changes see them
+  function replaceQuotes(state, newQuotes, now) {
+    const previous = new Map(state.quotes.map(q => [q.id, q]));
+    const newIds = new Set(newQuotes.map(q => q.id));
+    
+    state.quotes.forEach(q => {
+      if (!newIds.has(q.id)) {
+        state.deleted.push({ id: q.id, deletedAt: now });
+      }
+    });
+    state.quotes = newQuotes.map(q => {
+      const old = previous.get(q.id);
+      return old && !quotesDiffer(old, q) ? old : { ...q, updatedAt: now };
+    });
+  }
+  
+  let lastStatus = null;
+  
+  // Wait for the simulated latency, then maybe fail
+  async function respond(signal) {
+    lastStatus = null;
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Sync cancelled', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, latency);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    if (Math.random() < errorRate) {
+      lastStatus = 503;
+      const error = new Error('Simulated server error');
+      error.status = 503;
+      throw error;
+    }
+    lastStatus = 200;
+  }
+  
+  // Pretend another client added, edited or deleted a quote
+  function simulateConcurrentEdit(state) {
+    const now = Date.now();
+    const action = Math.floor(Math.random() * 3);
+    const target = state.quotes[Math.floor(Math.random() * state.quotes.length)];
+    
+    if (action === 0 || !target) {
+      state.quotes.push({
+        id: `mock-${now.toString(36)}`,
+        text: `Remote quote added at ${new Date(now).toLocaleTimeString()}`,
+        category: 'Remote',
+        updatedAt: now
+      });
+    } else if (action === 1) {
+      target.text = `${target.text.replace(/ \(edited remotely\)$/, '')} (edited remotely)`;
+      target.updatedAt = now;
+    } else {
+      state.quotes = state.quotes.filter(q => q !== target);
+      state.deleted.push({ id: target.id, deletedAt: now });
+    }
+    
+    console.log('Mock server: simulated concurrent edit');
+  }
+  
+  return {
+    name: 'mock',
+    
+    // Simulated HTTP status of the most recent response, for the sync log
+    get lastStatus() {
+      return lastStatus;
+    },
+    
+    async fetchQuotes({ signal } = {}) {
+      await respond(signal);
+      const state = loadState();
+      if (concurrentEdits) {
+        simulateConcurrentEdit(state);
+      }
+      saveState(state);
+      return { quotes: state.quotes, serverTime: Date.now() };
+    },
+    
+    async fetchChangesSince(since, { signal } = {}) {
+      await respond(signal);
+      const state = loadState();
+      if (concurrentEdits) {
+        simulateConcurrentEdit(state);
+      }
+      saveState(state);
+      return {
+        quotes: state.quotes.filter(q => q.updatedAt > since),
+        deletedIds: state.deleted.filter(d => d.deletedAt > since).map(d => d.id),
+        serverTime: Date.now()
+      };
+    },
+    
+    async pushQuotes(quotesToPush) {
+      await respond();
+      const state = loadState();
+      const now = Date.now();
+      
+      replaceQuotes(state, quotesToPush, now);
+      
+      saveState(state);
+      return { quotes: state.quotes, serverTime: now };
+    },
+    
+    async applyOperation(op) {
+      await respond();
+      const state = loadState();
+      const now = Date.now();
+      
+      state.quotes = state.quotes.filter(q => q.id !== op.quoteId);
+      if (op.type === 'delete') {
+        state.deleted.push({ id: op.quoteId, deletedAt: now });
+      } else {
+        state.quotes.push({ ...op.quote, updatedAt: now });
+      }
+      
+      saveState(state);
+      return { serverTime: now };
+    },
+    
+    async fetchCrdtState({ signal } = {}) {
+      if (!crdt) {
+        return null;
+      }
+      
+      await respond(signal);
+      const state = loadState();
+      if (!state.crdt) {
+        state.crdt = createEmptyCrdtState();
+      }
+      if (concurrentEdits) {
+        simulateConcurrentEdit(state);
+      }
+      saveState(state);
+      return { state: state.crdt };
+    },
+    
+    async pushCrdtState(pushedState, { signal } = {}) {
+      await respond(signal);
+      const state = loadState();
+      const merged = mergeCrdtStates(state.crdt || createEmptyCrdtState(), pushedState);
+      
+      replaceQuotes(state, materializeCrdtState(merged), Date.now());
+      state.crdt = merged;
+      
+      saveState(state);
+      return { state: state.crdt };
+    }
+  };
+}
+
+/**
+ * Creates the adapter described by a sync configuration
+ * @param {Object} config - Sync configuration
+ * @returns {Object} Sync adapter
+ */
+function createSyncAdapter(config) {
+  if (config.adapter === 'rest' && config.endpoint) {
+    return createRestSyncAdapter(config.endpoint);
+  }
+  return createMockSyncAdapter({
+    latency: config.mockLatency,
+    errorRate: config.mockErrorRate,
+    concurrentEdits: config.mockConcurrentEdits,
+    crdt: config.mockCrdt
+  });
+}
+
+/**
+ * Loads the sync configuration from storage
+ */
+function loadSyncConfig() {
+  syncConfig = { ...DEFAULT_SYNC_CONFIG, ...getSetting(SYNC_CONFIG_KEY, {}) };
+  syncAdapter = createSyncAdapter(syncConfig);
+}
+
+/**
+ * Fills the sync settings form from the current configuration
+ */
+function renderSyncSettings() {
+  document.getElementById('syncAdapter').value = syncConfig.adapter;
+  document.getElementById('syncEndpoint').value = syncConfig.endpoint;
+  document.getElementById('mockLatency').value = syncConfig.mockLatency;
+  document.getElementById('mockErrorRate').value = Math.round(syncConfig.mockErrorRate * 100);
+  document.getElementById('mockConcurrentEdits').checked = syncConfig.mockConcurrentEdits;
+  document.getElementById('mockCrdt').checked = syncConfig.mockCrdt;
+  
+  const intervalSelect = document.getElementById('syncInterval');
+  intervalSelect.innerHTML = '';
+  SYNC_INTERVAL_OPTIONS.forEach(seconds => {
+    const option = document.createElement('option');
+    option.value = seconds;
+    option.textContent = `Every ${describeSyncInterval(seconds)}`;
+    intervalSelect.appendChild(option);
+  });
+  intervalSelect.value = syncConfig.syncInterval;
+  
+  updateSyncSettingsVisibility();
+}
+
+/**
+ * Shows only the settings relevant to the selected adapter
+ */
+function updateSyncSettingsVisibility() {
+  const adapter = document.getElementById('syncAdapter').value;
+  document.getElementById('restSettings').style.display = adapter === 'rest' ? 'block' : 'none';
+  document.getElementById('mockSettings').style.display = adapter === 'mock' ? 'block' : 'none';
+}
+
+/**
+ * Saves the sync settings form and switches to the configured adapter
+ * Switching to a different server discards the old sync base
+ */
+function saveSyncSettings() {
+  const adapter = document.getElementById('syncAdapter').value;
+  const endpoint = document.getElementById('syncEndpoint').value.trim();
+  
+  if (adapter === 'rest' && !/^https?:\/\//.test(endpoint)) {
+    alert('Please enter a valid http(s) endpoint URL for the REST server!');
+    return;
+  }
+  
+  const newConfig = {
+    adapter,
+    endpoint,
+    mockLatency: Math.max(0, Number(document.getElementById('mockLatency').value) || 0),
+    mockErrorRate: Math.min(100, Math.max(0, Number(document.getElementById('mockErrorRate').value) || 0)) / 100,
+    mockConcurrentEdits: document.getElementById('mockConcurrentEdits').checked,
+    mockCrdt: document.getElementById('mockCrdt').checked,
+    syncInterval: Number(document.getElementById('syncInterval').value)
+  };
+  
+  const serverChanged = newConfig.adapter !== syncConfig.adapter || newConfig.endpoint !== syncConfig.endpoint;
+  const protocolChanged = serverChanged || newConfig.mockCrdt !== syncConfig.mockCrdt;
+  
+  syncConfig = newConfig;
+  setSetting(SYNC_CONFIG_KEY, syncConfig);
+  syncAdapter = createSyncAdapter(syncConfig);
+  
+  // A new interval applies from now on
+  syncBackoffLevel = 0;
+  if (nextAutoSyncAt !== null) {
+    scheduleAutoSync(nextAutoSyncDelay());
+  }
+  
+  if (serverChanged) {
+    removeSetting(SERVER_QUOTES_KEY);
+    removeSetting(LAST_SYNC_TIME_KEY);
+    removeSetting(SYNC_CURSOR_KEY);
+  }
+  
+  // The next sync finds out whether the server merges CRDT states
+  if (protocolChanged) {
+    removeSetting(SYNC_PROTOCOL_KEY);
+    updateSyncStatusDisplay();
+  }
+  
+  showNotification('Sync settings saved');
+  console.log('Sync adapter configured:', syncAdapter.name);
+}
+
+// ============================================
+// SERVER SYNCHRONIZATION FUNCTIONS
+// ============================================
+
+/**
+ * Initializes the server synchronization system
+ * Sets up auto-sync if enabled and updates UI
+ */
+function initializeSyncSystem() {
+  // Create the configured backend adapter
+  loadSyncConfig();
+  renderSyncSettings();
+  document.getElementById('syncAdapter').addEventListener('change', updateSyncSettingsVisibility);
+  document.getElementById('saveSyncSettings').addEventListener('click', saveSyncSettings);
+  document.getElementById('exportSyncLog').addEventListener('click', exportSyncLog);
+  document.getElementById('clearSyncLog').addEventListener('click', clearSyncLog);
+  renderSyncLog();
+  
+  // Restore queued changes and send them whenever the connection returns
+  outbox = loadOutbox();
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  document.addEventListener('visibilitychange', resumeAutoSync);
+  
+  // Coordinate with other open tabs; the tab elected sync leader sends the
+  // queued changes of all of them
+  initTabCoordination();
+  
+  // Check if auto-sync was enabled in previous session
+  const autoSyncEnabled = getSetting(AUTO_SYNC_ENABLED_KEY) === true;
+  
+  if (autoSyncEnabled) {
+    startAutoSync();
+  }
+  updateAutoSyncButton();
+  
+  // Update last sync time display
+  updateSyncStatusDisplay();
+  
+  console.log('Sync system initialized. Auto-sync:', autoSyncEnabled);
+}
+
+/**
+ * Fetches the current server quotes through the active sync adapter
+ * Uses an incremental "changes since" request when a previous sync left a
+ * cursor, applying the changes to the stored server snapshot. The new
+ * cursor is only stored with the snapshot once the merge completes
+ * @param {Object} [logEntry] - Sync log entry that collects errors
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object|null>} { quotes, cursor }, or null on failure or cancel
+ */
+async function fetchQuotesFromServer(logEntry, signal) {
+  try {
+    updateSyncStatus('Fetching from server...', 'info');
+    
+    const cursor = getSetting(SYNC_CURSOR_KEY);
+    let serverQuotes;
+    let serverTime;
+    
+    if (cursor && getSetting(LAST_SYNC_TIME_KEY) && syncAdapter.fetchChangesSince) {
+      const result = await syncAdapter.fetchChangesSince(cursor, { signal });
+      serverQuotes = applyServerChanges(loadServerSnapshot(), result);
+      serverTime = result.serverTime;
+      console.log('Fetched', result.quotes.length, 'changed and', result.deletedIds.length, 'deleted quotes');
+    } else {
+      const result = await syncAdapter.fetchQuotes({ signal });
+      serverQuotes = result.quotes;
+      serverTime = result.serverTime;
+    }
+    
+    console.log('Fetched from server:', serverQuotes.length, 'quotes');
+    return { quotes: serverQuotes, cursor: serverTime };
+    
+  } catch (error) {
+    reportFetchError(error, logEntry);
+    return null;
+  }
+}
+
+/**
+ * Reports a failed or cancelled fetch
+ * @param {Error} error
+ * @param {Object} [logEntry] - Sync log entry that collects errors
+ */
+function reportFetchError(error, logEntry) {
+  if (error.name === 'AbortError') {
+    console.log('Fetch cancelled');
+    return;
+  }
+  
+  console.error('Error fetching from server:', error);
+  if (logEntry) {
+    logEntry.errors.push(error.message);
+  }
+  updateSyncStatus('Failed to fetch from server', 'error');
+  showNotification('Failed to sync with server: ' + error.message);
+}
+
+/**
+ * Applies an incremental change set to a known server state
+ * @param {Array} serverQuotes - Server state from the last sync
+ * @param {Object} changes - { quotes, deletedIds } from fetchChangesSince()
+ * @returns {Array} Updated server state
+ */
+function applyServerChanges(serverQuotes, changes) {
+  const deleted = new Set(changes.deletedIds);
+  const changed = new Map(changes.quotes.map(q => [q.id, q]));
+  
+  const result = serverQuotes
+    .filter(q => !deleted.has(q.id))
+    .map(q => changed.get(q.id) || q);
+  
+  const knownIds = new Set(result.map(q => q.id));
+  changes.quotes.forEach(q => {
+    if (!knownIds.has(q.id)) {
+      result.push(q);
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Main synchronization function
+ * Servers that merge CRDT states are synced without conflicts; with other
+ * servers the server data is three-way merged with local data
+ * Only one sync runs at a time; calling this while one is running returns
+ * the running one
+ * @param {Object} [options]
+ * @param {boolean} [options.automatic] - Started by the scheduler: no
+ *   notification unless something changed
+ * @returns {Promise<Object>} The run's sync log record
+ */
+function syncWithServer(options = {}) {
+  if (syncInFlight) {
+    console.log('Sync already running');
+    return syncInFlight;
+  }
+  
+  syncAbortController = new AbortController();
+  syncInFlight = runSync(syncAbortController.signal, options).finally(() => {
+    syncInFlight = null;
+    syncAbortController = null;
+    updateSyncControls();
+  });
+  updateSyncControls();
+  
+  return syncInFlight;
+}
+
+/**
+ * Cancels the running sync
+ * The fetch can be cancelled, and so can sending the merged state to
+ * servers that merge CRDT states; other merges run to completion
+ */
+function cancelSync() {
+  if (syncAbortController) {
+    syncAbortController.abort();
+    console.log('Sync cancel requested');
+  }
+}
+
+/**
+ * Does the work for syncWithServer()
+ */
+async function runSync(signal, { automatic = false } = {}) {
+  const logEntry = startSyncLogEntry('pull');
+  
+  if (pendingConflicts) {
+    updateSyncStatus('Resolve conflicts before syncing again', 'warning');
+    return finishSyncLogEntry(logEntry, 'skipped', { error: 'Unresolved conflicts' });
+  }
+  
+  if (!navigator.onLine) {
+    updateSyncStatus('Offline - changes will be sent when back online', 'warning');
+    return finishSyncLogEntry(logEntry, 'skipped', { error: 'Offline' });
+  }
+  
+  console.log('Starting sync with server...');
+  updateSyncStatus('Syncing...', 'info');
+  
+  // Let a running outbox flush finish so the server state is settled
+  if (outboxFlushPromise) {
+    await outboxFlushPromise;
+  }
+  
+  const cancelled = () => {
+    updateSyncStatus('Sync cancelled', 'warning');
+    return finishSyncLogEntry(logEntry, 'cancelled');
+  };
+  
+  const crdt = await fetchServerCrdtState(logEntry, signal);
+  
+  if (signal.aborted) {
+    return cancelled();
+  }
+  
+  if (!crdt) {
+    return finishSyncLogEntry(logEntry, 'error'); // Error already handled in fetch function
+  }
+  
+  if (crdt.state) {
+    const { changes, sent } = await syncCrdtState(crdt.state, logEntry, signal);
+    if (signal.aborted) {
+      return cancelled();
+    }
+    return reportSyncResult(logEntry, changes, sent, automatic);
+  }
+  
+  // Fetch quotes from server
+  const fetched = await fetchQuotesFromServer(logEntry, signal);
+  
+  if (signal.aborted) {
+    return cancelled();
+  }
+  
+  if (!fetched) {
+    return finishSyncLogEntry(logEntry, 'error'); // Error already handled in fetch function
+  }
+  
+  const { quotes: serverQuotes, cursor } = fetched;
+  
+  // Merge against the snapshot taken at the last sync
+  const result = threeWayMerge(loadServerSnapshot(), quotes, serverQuotes);
+  
+  if (result.conflicts.length > 0) {
+    // Show conflict notification
+    showConflictNotification({ ...result, serverQuotes, cursor });
+    updateSyncStatus('Conflicts detected', 'warning');
+    return finishSyncLogEntry(logEntry, 'conflicts', {
+      ...result.changes,
+      error: `${result.conflicts.length} conflicts to review`
+    });
+  }
+  
+  const sent = await completeSync(result.merged, serverQuotes, 'Sync merge', cursor);
+  return reportSyncResult(logEntry, result.changes, sent, automatic);
+}
+
+/**
+ * Reports a finished sync in the status, a notification and the sync log
+ * @param {Object} logEntry - The run's sync log entry
+ * @param {Object} changes - { added, updated, removed } local changes
+ * @param {boolean} sent - Whether every local change reached the server
+ * @param {boolean} automatic - Started by the scheduler
+ * @returns {Object} The run's sync log record
+ */
+function reportSyncResult(logEntry, changes, sent, automatic) {
+  if (sent) {
+    updateSyncStatus('Synced successfully', 'success');
+  } else {
+    updateSyncStatus(`Synced - ${outbox.length} changes waiting to be sent`, 'warning');
+  }
+  
+  const { added, updated, removed } = changes;
+  if (!automatic || added + updated + removed > 0) {
+    showNotification(
+      `Successfully synced with server! ` +
+      `(${added} added, ${updated} updated, ${removed} removed)`
+    );
+  }
+  
+  console.log('Sync completed');
+  return finishSyncLogEntry(logEntry, logEntry.errors.length > 0 ? 'partial' : 'success', changes);
+}
+
+/**
+ * Applies a merged quote list, sends the local changes and records the new sync base
+ * The outbox is rebuilt from the difference between the server and the
+ * merged quotes, so it covers every local change the server is missing
+ * @param {Array} mergedQuotes - Result of the merge
+ * @param {Array} serverQuotes - Server state the merge was based on
+ * @param {string} historyLabel - Name of the change in the undo history
+ * @param {*} [cursor] - Server cursor the quotes were fetched at
+ * @returns {Promise<boolean>} True if every local change was sent
+ */
+async function completeSync(mergedQuotes, serverQuotes, historyLabel = 'Sync merge', cursor = null) {
+  // Keep a copy if the server is about to change or remove local quotes
+  const mergedById = new Map(mergedQuotes.map(q => [q.id, q]));
+  if (quotes.some(quote => quotesDiffer(quote, mergedById.get(quote.id) || null))) {
+    await takeSnapshot('Before server sync');
+  }
+  
+  // Server versions replace local quotes, but this device's views stay
+  const localById = new Map(quotes.map(q => [q.id, q]));
+  mergedQuotes = mergedQuotes.map(quote => {
+    const local = localById.get(quote.id);
+    return local && local !== quote ? copyViewStats(local, { ...quote }) : quote;
+  });
+  
+  const before = snapshotQuotes();
+  await mergeQuotes(mergedQuotes, true);
+  recordHistory(historyLabel, before);
+  
+  // Save server quotes as the base; each flushed operation updates it.
+  // The cursor goes with it, so the next fetch continues from this base
+  setSetting(SERVER_QUOTES_KEY, serverQuotes);
+  if (cursor) {
+    setSetting(SYNC_CURSOR_KEY, cursor);
+  }
+  
+  // Update last sync time
+  const now = new Date().toISOString();
+  setSetting(LAST_SYNC_TIME_KEY, now);
+  
+  replaceOutbox(diffOperations(serverQuotes, quotes));
+  const sent = await flushOutbox();
+  
+  updateSyncStatusDisplay();
+  
+  // Update UI
+  populateCategories();
+  updateStats();
+  renderQuoteList();
+  renderSearchResults();
+  showRandomQuote();
+  
+  return sent;
+}
+
+/**
+ * Loads the server snapshot saved at the last successful sync
+ * @returns {Array} Base quotes for the three-way merge (empty on first sync)
+ */
+function loadServerSnapshot() {
+  const lastSyncTime = getSetting(LAST_SYNC_TIME_KEY);
+  const storedSnapshot = getSetting(SERVER_QUOTES_KEY);
+  
+  // If this is the first sync, there is no common base
+  if (!lastSyncTime || !Array.isArray(storedSnapshot)) {
+    return [];
+  }
+  
+  // Copy so callers can't modify the cached snapshot
+  const snapshot = storedSnapshot.map(q => ({ ...q }));
+  ensureQuoteMetadata(snapshot);
+  return snapshot;
+}
+
+/**
+ * Compares two values of a synced field
+ * Lists such as tags are compared as sets; blank optional fields are equal
+ */
+function fieldValuesEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const key = list => JSON.stringify([...(list || [])].sort());
+    return key(a) === key(b);
+  }
+  // Optional fields may be missing, null or empty depending on who wrote them
+  const isBlank = value => value === undefined || value === null || value === '';
+  return a === b || (isBlank(a) && isBlank(b));
+}
+
+/**
+ * Checks whether two versions of a quote differ in any synced field
+ * A missing version only equals another missing version
+ */
+function quotesDiffer(a, b) {
+  if (!a || !b) {
+    return a !== b;
+  }
+  return QUOTE_SYNC_FIELDS.some(field => !fieldValuesEqual(a[field], b[field]));
+}
+
+/**
+ * Three-way merges local and server quotes against a common base
+ * Quotes changed on only one side take that side's version; quotes changed
+ * on both sides are merged field by field, and only fields edited
+ * differently on both sides (or an edit racing a delete) become conflicts
+ * @param {Array} baseQuotes - Server snapshot from the last sync
+ * @param {Array} localQuotes - Current local quotes
+ * @param {Array} serverQuotes - Freshly fetched server quotes
+ * @returns {Object} { merged, conflicts, changes: { added, updated, removed } }
+ */
+function threeWayMerge(baseQuotes, localQuotes, serverQuotes) {
+  const byId = list => new Map(list.map(q => [q.id, q]));
+  const base = byId(baseQuotes);
+  const local = byId(localQuotes);
+  const server = byId(serverQuotes);
+  
+  // Keep local order, then append quotes only the server knows about
+  const ids = [...new Set([...local.keys(), ...server.keys()])];
+  
+  const merged = [];
+  const conflicts = [];
+  const changes = { added: 0, updated: 0, removed: 0 };
+  
+  ids.forEach(id => {
+    const baseQuote = base.get(id);
+    const localQuote = local.get(id);
+    const serverQuote = server.get(id);
+    
+    const localChanged = quotesDiffer(baseQuote, localQuote);
+    const serverChanged = quotesDiffer(baseQuote, serverQuote);
+    
+    let result;
+    
+    if (!serverChanged) {
+      result = localQuote;
+    } else if (!localChanged || !quotesDiffer(localQuote, serverQuote)) {
+      result = serverQuote;
+    } else if (!localQuote || !serverQuote) {
+      // One side deleted the quote while the other edited it
+      conflicts.push({ id, base: baseQuote, local: localQuote, server: serverQuote, fields: [] });
+      result = localQuote;
+    } else {
+      const fieldMerge = mergeQuoteFields(baseQuote, localQuote, serverQuote);
+      
+      if (fieldMerge.conflictFields.length > 0) {
+        conflicts.push({
+          id,
+          base: baseQuote,
+          local: localQuote,
+          server: serverQuote,
+          fields: fieldMerge.conflictFields
+        });
+        result = localQuote;
+      } else {
+        result = fieldMerge.quote;
+      }
+    }
+    
+    if (result) {
+      merged.push(result);
+    }
+    
+    // Count what the merge changes locally
+    if (result && !localQuote) {
+      changes.added++;
+    } else if (!result && localQuote) {
+      changes.removed++;
+    } else if (result !== localQuote && quotesDiffer(localQuote, result)) {
+      changes.updated++;
+    }
+  });
+  
+  console.log('Three-way merge:', changes, 'conflicts:', conflicts.length);
+  return { merged, conflicts, changes };
+}
+
+/**
+ * Merges two edited versions of the same quote field by field
+ * @returns {Object} { quote, conflictFields }
+ */
+function mergeQuoteFields(baseQuote, localQuote, serverQuote) {
+  const quote = { ...serverQuote, ...localQuote };
+  const conflictFields = [];
+  
+  QUOTE_SYNC_FIELDS.forEach(field => {
+    const baseValue = baseQuote ? baseQuote[field] : undefined;
+    const localValue = localQuote[field];
+    const serverValue = serverQuote[field];
+    
+    if (fieldValuesEqual(localValue, serverValue) || fieldValuesEqual(serverValue, baseValue)) {
+      quote[field] = localValue;
+    } else if (fieldValuesEqual(localValue, baseValue)) {
+      quote[field] = serverValue;
+    } else {
+      conflictFields.push(field);
+    }
+  });
+  
+  // The merged quote is as new as the most recent of its sources
+  quote.updatedAt = Math.max(localQuote.updatedAt || 0, serverQuote.updatedAt || 0);
+  
+  return { quote, conflictFields };
+}
+
+/**
+ * Shows conflict notification to user
+ * Offers a detailed review dialog or quick all-or-nothing resolution
+ */
+function showConflictNotification(conflicts) {
+  pendingConflicts = { ...conflicts, resolutions: {} };
+  
+  const notification = document.getElementById('conflictNotification');
+  const message = document.getElementById('conflictMessage');
+  
+  const count = conflicts.conflicts.length;
+  message.textContent = `${count} quote${count === 1 ? ' was' : 's were'} changed both locally ` +
+    `and on the server since the last sync. Other changes were merged automatically.`;
+  
+  notification.style.display = 'block';
+  
+  // Scroll to notification
+  notification.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Splits two strings into words and marks which ones differ
+ * Uses a longest-common-subsequence over words and whitespace
+ * @returns {Array} Segments of { value, type: 'same' | 'removed' | 'added' }
+ */
+function diffWords(oldText, newText) {
+  const a = (oldText || '').split(/(\s+)/).filter(Boolean);
+  const b = (newText || '').split(/(\s+)/).filter(Boolean);
+  
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const segments = [];
+  const push = (value, type) => {
+    // Join runs of the same type so highlights cover whole phrases
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      segments.push({ value, type });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push(a[i++], 'same');
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      push(b[j++], 'added');
+    } else {
+      push(a[i++], 'removed');
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * Renders one side of a text diff into an element
+ * @param {HTMLElement} element - Target element
+ * @param {Array} segments - Output of diffWords()
+ * @param {string} side - 'local' shows removed words, 'server' shows added words
+ */
+function renderDiffSide(element, segments, side) {
+  const hiddenType = side === 'local' ? 'added' : 'removed';
+  
+  segments
+    .filter(segment => segment.type !== hiddenType)
+    .forEach(segment => {
+      if (segment.type === 'same') {
+        element.appendChild(document.createTextNode(segment.value));
+      } else {
+        const mark = document.createElement('mark');
+        mark.className = `diff-${side}`;
+        mark.textContent = segment.value;
+        element.appendChild(mark);
+      }
+    });
+}
+
+/**
+ * Opens the conflict review dialog listing every conflicting quote
+ */
+function openConflictDialog() {
+  if (!pendingConflicts) {
+    return;
+  }
   
-  // Create category input group
-  const categoryGroup = document.createElement('div');
-  categoryGroup.className = 'form-group';
+  const list = document.getElementById('conflictReviewList');
+  list.innerHTML = '';
+  
+  pendingConflicts.conflicts.forEach(conflict => {
+    list.appendChild(createConflictCard(conflict));
+  });
+  
+  document.getElementById('conflictDialog').style.display = 'flex';
+}
+
+/**
+ * Closes the conflict review dialog, leaving conflicts pending
+ */
+function closeConflictDialog() {
+  document.getElementById('conflictDialog').style.display = 'none';
+}
+
+/**
+ * Creates the review card for one conflict
+ * Shows local and server versions side by side with differences highlighted,
+ * and lets the user pick local, server or a hand-edited value
+ * @param {Object} conflict - Conflict from threeWayMerge()
+ * @returns {HTMLElement} The card
+ */
+function createConflictCard(conflict) {
+  const card = document.createElement('div');
+  card.className = 'conflict-card';
+  card.dataset.id = conflict.id;
+  
+  const textDiff = diffWords(conflict.local?.text, conflict.server?.text);
+  const categoryDiffers = conflict.local && conflict.server &&
+    conflict.local.category !== conflict.server.category;
+  const tagsDiffer = conflict.local && conflict.server &&
+    !fieldValuesEqual(conflict.local.tags, conflict.server.tags);
+  const attributionDiffers = conflict.local && conflict.server &&
+    ['author', 'source', 'year'].some(field => !fieldValuesEqual(conflict.local[field], conflict.server[field]));
+  
+  const columns = document.createElement('div');
+  columns.className = 'conflict-columns';
+  
+  ['local', 'server'].forEach(side => {
+    const quote = conflict[side];
+    const column = document.createElement('label');
+    column.className = 'conflict-version';
+    
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = `resolve-${conflict.id}`;
+    radio.value = side;
+    radio.checked = side === 'local';
+    
+    const heading = document.createElement('strong');
+    heading.textContent = side === 'local' ? ' Local' : ' Server';
+    
+    column.appendChild(radio);
+    column.appendChild(heading);
+    
+    if (quote) {
+      const text = document.createElement('p');
+      text.className = 'conflict-text';
+      if (conflict.local && conflict.server) {
+        renderDiffSide(text, textDiff, side);
+      } else {
+        text.textContent = quote.text;
+      }
+      
+      const category = document.createElement('p');
+      category.className = 'quote-list-category';
+      if (categoryDiffers) {
+        const mark = document.createElement('mark');
+        mark.className = `diff-${side}`;
+        mark.textContent = quote.category;
+        category.appendChild(mark);
+      } else {
+        category.textContent = quote.category;
+      }
+      
+      column.appendChild(text);
+      column.appendChild(category);
+      
+      const attribution = formatAttribution(quote);
+      if (attribution || attributionDiffers) {
+        const attributionLine = document.createElement('p');
+        attributionLine.className = 'quote-list-category';
+        const attributionText = attribution || 'No author or source';
+        if (attributionDiffers) {
+          const mark = document.createElement('mark');
+          mark.className = `diff-${side}`;
+          mark.textContent = attributionText;
+          attributionLine.appendChild(mark);
+        } else {
+          attributionLine.textContent = attributionText;
+        }
+        column.appendChild(attributionLine);
+      }
+      
+      if (quote.tags && quote.tags.length > 0 || tagsDiffer) {
+        const tags = document.createElement('p');
+        tags.className = 'quote-tags';
+        const tagText = formatTags(quote.tags) || 'No tags';
+        if (tagsDiffer) {
+          const mark = document.createElement('mark');
+          mark.className = `diff-${side}`;
+          mark.textContent = tagText;
+          tags.appendChild(mark);
+        } else {
+          tags.textContent = tagText;
+        }
+        column.appendChild(tags);
+      }
+    } else {
+      const deleted = document.createElement('p');
+      deleted.className = 'empty-quote';
+      deleted.textContent = 'Deleted';
+      column.appendChild(deleted);
+    }
+    
+    columns.appendChild(column);
+  });
+  
+  // Hand-edited resolution, prefilled from whichever version exists
+  const source = conflict.local || conflict.server;
+  
+  const editOption = document.createElement('label');
+  editOption.className = 'conflict-edit-option';
+  
+  const editRadio = document.createElement('input');
+  editRadio.type = 'radio';
+  editRadio.name = `resolve-${conflict.id}`;
+  editRadio.value = 'edit';
+  
+  editOption.appendChild(editRadio);
+  editOption.appendChild(document.createTextNode(' Edit manually'));
+  
+  const editor = document.createElement('div');
+  editor.className = 'conflict-editor';
+  editor.style.display = 'none';
+  
+  const textInput = document.createElement('input');
+  textInput.type = 'text';
+  textInput.className = 'conflict-edit-text';
+  textInput.value = source.text;
+  textInput.setAttribute('aria-label', 'Resolved quote text');
   
   const categoryInput = document.createElement('input');
   categoryInput.type = 'text';
-  categoryInput.id = 'newQuoteCategory';
-  categoryInput.placeholder = 'Enter quote category';
-  categoryInput.setAttribute('aria-label', 'Quote category');
+  categoryInput.className = 'conflict-edit-category';
+  categoryInput.value = source.category;
+  categoryInput.setAttribute('aria-label', 'Resolved quote category');
   
-  categoryGroup.appendChild(categoryInput);
-  formSection.appendChild(categoryGroup);
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'conflict-edit-tags';
+  tagsInput.value = (source.tags || []).join(', ');
+  tagsInput.placeholder = 'Tags, separated by commas';
+  tagsInput.setAttribute('aria-label', 'Resolved quote tags');
+  
+  const attributionInputs = ['author', 'source', 'year'].map(field => {
+    const input = document.createElement('input');
+    input.type = field === 'year' ? 'number' : 'text';
+    input.className = `conflict-edit-${field}`;
+    input.value = source[field] ?? '';
+    input.placeholder = { author: 'Author', source: 'Source', year: 'Year' }[field];
+    input.setAttribute('aria-label', `Resolved quote ${field}`);
+    return input;
+  });
+  
+  editor.appendChild(textInput);
+  editor.appendChild(categoryInput);
+  editor.appendChild(tagsInput);
+  attributionInputs.forEach(input => editor.appendChild(input));
+  
+  card.addEventListener('change', () => {
+    editor.style.display = editRadio.checked ? 'flex' : 'none';
+  });
+  
+  card.appendChild(columns);
+  card.appendChild(editOption);
+  card.appendChild(editor);
+  return card;
+}
+
+/**
+ * Reads the choices made in the conflict dialog and finishes the sync
+ */
+function applyConflictDialog() {
+  if (!pendingConflicts) {
+    return;
+  }
+  
+  const resolutions = {};
+  
+  for (const card of document.querySelectorAll('#conflictReviewList .conflict-card')) {
+    const choice = card.querySelector('input[type="radio"]:checked').value;
+    
+    if (choice === 'edit') {
+      const text = card.querySelector('.conflict-edit-text').value.trim();
+      const category = card.querySelector('.conflict-edit-category').value.trim();
+      const tags = parseTags(card.querySelector('.conflict-edit-tags').value);
+      
+      if (!text || !category) {
+        alert('Please fill in both the quote text and category for edited quotes!');
+        return;
+      }
+      
+      const tagError = validateTags(tags);
+      if (tagError) {
+        alert(tagError);
+        return;
+      }
+      
+      const attribution = normalizeAttribution({
+        author: card.querySelector('.conflict-edit-author').value,
+        source: card.querySelector('.conflict-edit-source').value,
+        year: card.querySelector('.conflict-edit-year').value
+      });
+      const attributionError = validateAttribution(attribution);
+      if (attributionError) {
+        alert(attributionError);
+        return;
+      }
+      resolutions[card.dataset.id] = { choice, text, category, tags, attribution };
+    } else {
+      resolutions[card.dataset.id] = { choice };
+    }
+  }
+  
+  pendingConflicts.resolutions = resolutions;
+  closeConflictDialog();
+  finishConflictResolution();
+}
+
+/**
+ * Resolves all conflicts the same way without reviewing them
+ * @param {boolean} useServerVersion - True to use server data, false to keep local
+ */
+function resolveConflict(useServerVersion) {
+  if (!pendingConflicts) {
+    return;
+  }
+  
+  const choice = useServerVersion ? 'server' : 'local';
+  pendingConflicts.conflicts.forEach(conflict => {
+    pendingConflicts.resolutions[conflict.id] = { choice };
+  });
+  
+  console.log('All conflicts resolved:', choice);
+  closeConflictDialog();
+  finishConflictResolution();
+}
+
+/**
+ * Builds the quote chosen for a conflict
+ * @returns {Object|undefined} Resolved quote, or undefined if it should be deleted
+ */
+function resolvedConflictQuote(conflict, resolution) {
+  if (resolution.choice === 'server') {
+    return conflict.server;
+  }
+  if (resolution.choice === 'edit') {
+    const quote = {
+      ...(conflict.local || conflict.server),
+      text: resolution.text,
+      category: resolution.category,
+      tags: resolution.tags,
+      updatedAt: Date.now()
+    };
+    setAttribution(quote, resolution.attribution);
+    return quote;
+  }
+  return conflict.local;
+}
+
+/**
+ * Applies the chosen version of every conflicting quote and completes the sync
+ * The merge is redone against the current quotes, so changes made while
+ * the conflicts were open are kept; quotes that only conflict now keep the
+ * local version. Resolutions that differ from the server are queued in the
+ * outbox; once sent they become part of the sync base, so the conflict is
+ * not raised again
+ */
+async function finishConflictResolution() {
+  const { conflicts, resolutions, serverQuotes, cursor } = pendingConflicts;
+  const replaceById = (list, id, quote) => {
+    const index = list.findIndex(q => q.id === id);
+    if (!quote) {
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+    } else if (index !== -1) {
+      list[index] = quote;
+    } else {
+      list.push(quote);
+    }
+  };
+  
+  const current = threeWayMerge(loadServerSnapshot(), quotes, serverQuotes);
+  const result = [...current.merged];
+  
+  current.conflicts.forEach(conflict => {
+    if (resolutions[conflict.id]) {
+      replaceById(result, conflict.id, resolvedConflictQuote(conflict, resolutions[conflict.id]));
+    }
+  });
+  
+  // Hide notification
+  document.getElementById('conflictNotification').style.display = 'none';
+  pendingConflicts = null;
+  
+  const previousChange = latestHistoryEntry();
+  await completeSync(result, serverQuotes, 'Resolve conflicts', cursor);
+  const change = latestHistoryEntry();
+  
+  updateSyncStatus('Conflict resolved', 'success');
+  showNotification(
+    `Resolved ${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}.`,
+    change && change.id !== previousChange?.id ? undoAction(change) : undefined
+  );
+  console.log('Conflicts resolved:', conflicts.length);
+}
+
+/**
+ * Merges server quotes with local quotes
+ * Server data takes precedence by default. If the collection changes,
+ * today's Quote of the Day is picked again: a pick made before the first
+ * sync would otherwise stick to a quote the sync replaced
+ */
+async function mergeQuotes(serverQuotes, replaceAll = false) {
+  const previous = new Map(quotes.map(q => [q.id, q]));
+  
+  if (replaceAll) {
+    // Complete replacement
+    quotes = [...serverQuotes];
+    ensureQuoteMetadata(quotes);
+  } else {
+    // Smart merge: Add server quotes that don't exist locally
+    const localQuoteKeys = new Set(quotes.map(quoteDuplicateKey));
+    
+    serverQuotes.forEach(serverQuote => {
+      const key = quoteDuplicateKey(serverQuote);
+      if (!localQuoteKeys.has(key) && !findQuoteById(serverQuote.id)) {
+        quotes.push(serverQuote);
+      }
+    });
+  }
+  
+  // Save merged quotes
+  await saveQuotes();
+  syncSearchIndex();
+  
+  if (quotes.length !== previous.size ||
+      quotes.some(q => !previous.has(q.id) || quotesDiffer(previous.get(q.id), q))) {
+    forgetTodaysQuoteOfTheDay();
+    renderQuoteOfTheDay();
+  }
+  console.log('Quotes merged. Total:', quotes.length);
+}
+
+/**
+ * Toggles automatic synchronization
+ */
+function toggleAutoSync() {
+  if (autoSyncEnabled) {
+    stopAutoSync();
+    showNotification('Auto-sync disabled');
+  } else {
+    startAutoSync();
+    showNotification(`Auto-sync enabled (every ${describeSyncInterval(syncConfig.syncInterval)})`);
+  }
+  updateAutoSyncButton();
+}
+
+/**
+ * Shows whether auto-sync is on in its toggle button
+ */
+function updateAutoSyncButton() {
+  const button = document.getElementById('toggleAutoSync');
+  
+  button.textContent = autoSyncEnabled ? 'Disable Auto-Sync' : 'Enable Auto-Sync';
+  button.style.background = autoSyncEnabled ? '#28a745' : '#6c757d';
+}
+
+/**
+ * Starts automatic synchronization
+ * Every tab keeps a schedule, but only the sync leader syncs
+ */
+function startAutoSync() {
+  if (autoSyncEnabled) {
+    return; // Already running
+  }
+  
+  autoSyncEnabled = true;
+  syncBackoffLevel = 0;
+  
+  // Sync immediately
+  scheduleAutoSync(0);
+  
+  // Save preference
+  setSetting(AUTO_SYNC_ENABLED_KEY, true);
+  
+  console.log('Auto-sync started (interval:', syncConfig.syncInterval, 's)');
+}
+
+/**
+ * Stops automatic synchronization
+ * A sync that is already running finishes
+ */
+function stopAutoSync() {
+  if (autoSyncEnabled) {
+    autoSyncEnabled = false;
+    autoSyncPausedBy = null;
+    clearTimeout(autoSyncTimer);
+    autoSyncTimer = null;
+    nextAutoSyncAt = null;
+    updateSyncStatusDisplay();
+    
+    // Save preference
+    setSetting(AUTO_SYNC_ENABLED_KEY, false);
+    
+    console.log('Auto-sync stopped');
+  }
+}
+
+/**
+ * Describes a sync interval, e.g. "30 seconds" or "5 minutes"
+ * @param {number} seconds
+ */
+function describeSyncInterval(seconds) {
+  if (seconds < 60) {
+    return `${seconds} seconds`;
+  }
+  const minutes = Math.round(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+/**
+ * Plans the next automatic sync, replacing any planned one
+ * @param {number} delay - Delay in ms
+ */
+function scheduleAutoSync(delay) {
+  if (!autoSyncEnabled) {
+    return;
+  }
+  
+  clearTimeout(autoSyncTimer);
+  nextAutoSyncAt = Date.now() + delay;
+  autoSyncTimer = setTimeout(runScheduledSync, delay);
+  updateSyncStatusDisplay();
+}
+
+/**
+ * Wait before the next automatic sync: the chosen interval, doubled for
+ * each quiet or failed run in a row
+ */
+function nextAutoSyncDelay() {
+  return syncConfig.syncInterval * 1000 * 2 ** Math.min(syncBackoffLevel, SYNC_MAX_BACKOFF_LEVEL);
+}
+
+/**
+ * Runs a planned sync, unless the tab is hidden, offline or not the leader
+ * Hidden and offline tabs pause until they are visible and online again
+ */
+async function runScheduledSync() {
+  autoSyncTimer = null;
+  nextAutoSyncAt = null;
+  
+  if (!autoSyncEnabled) {
+    return;
+  }
+  
+  if (document.hidden || !navigator.onLine) {
+    autoSyncPausedBy = document.hidden ? 'hidden' : 'offline';
+    updateSyncStatusDisplay();
+    console.log('Auto-sync paused:', autoSyncPausedBy);
+    return;
+  }
+  
+  // Other tabs keep their schedule so they can take over as leader
+  if (!isSyncLeader) {
+    scheduleAutoSync(nextAutoSyncDelay());
+    return;
+  }
+  
+  console.log('Auto-sync triggered');
+  let failed = false;
+  let record = null;
+  
+  try {
+    record = await syncWithServer({ automatic: true });
+  } catch (error) {
+    failed = true;
+    console.error('Error in auto-sync:', error);
+  } finally {
+    // Back off while nothing changes or errors repeat; start over on changes
+    const changed = record && record.added + record.updated + record.removed > 0;
+    if (failed || (record && (record.outcome === 'error' || !changed))) {
+      syncBackoffLevel = Math.min(syncBackoffLevel + 1, SYNC_MAX_BACKOFF_LEVEL);
+    } else {
+      syncBackoffLevel = 0;
+    }
+    
+    // Always plan the next run, or one unexpected error stops auto-sync
+    scheduleAutoSync(nextAutoSyncDelay());
+  }
+}
+
+/**
+ * Resumes a paused auto-sync once the tab is visible and online
+ */
+function resumeAutoSync() {
+  if (!autoSyncEnabled || !autoSyncPausedBy || document.hidden || !navigator.onLine) {
+    return;
+  }
+  
+  console.log('Auto-sync resumed after being', autoSyncPausedBy);
+  autoSyncPausedBy = null;
+  scheduleAutoSync(0);
+}
+
+/**
+ * Syncs soon after a local change, with the backoff reset
+ * Changes in quick succession lead to one sync
+ */
+function requestSyncSoon() {
+  if (!autoSyncEnabled || autoSyncPausedBy) {
+    return;
+  }
+  
+  syncBackoffLevel = 0;
+  if (nextAutoSyncAt === null || nextAutoSyncAt - Date.now() > SYNC_AFTER_CHANGE_DELAY) {
+    scheduleAutoSync(SYNC_AFTER_CHANGE_DELAY);
+  }
+}
+
+/**
+ * Enables the sync button and shows the cancel button while a sync runs
+ */
+function updateSyncControls() {
+  document.getElementById('syncNow').disabled = syncInFlight !== null;
+  document.getElementById('cancelSync').style.display = syncInFlight ? 'block' : 'none';
+}
+
+/**
+ * Updates the sync status display
+ * @param {string} message - Status message
+ * @param {string} type - 'info', 'success', 'warning', 'error'
+ */
+function updateSyncStatus(message, type = 'info') {
+  const statusText = document.getElementById('syncStatusText');
+  statusText.textContent = message;
   
-  // Create add quote button
-  const addButton = document.createElement('button');
-  addButton.textContent = 'Add Quote';
-  addButton.onclick = addQuote;
-  addButton.style.width = '100%';
+  // Color coding
+  const colors = {
+    info: '#007bff',
+    success: '#28a745',
+    warning: '#ffc107',
+    error: '#dc3545'
+  };
   
-  formSection.appendChild(addButton);
+  statusText.style.color = colors[type] || colors.info;
 }
 
 /**
- * Adds a new quote to the quotes array
- * Updates categories dropdown if new category is introduced (Task 2 requirement)
+ * Updates the sync status display with time and count
  */
-function addQuote() {
-  const quoteText = document.getElementById('newQuoteText');
-  const quoteCategory = document.getElementById('newQuoteCategory');
-  
-  const text = quoteText.value.trim();
-  const category = quoteCategory.value.trim();
+function updateSyncStatusDisplay() {
+  const lastSyncTime = getSetting(LAST_SYNC_TIME_KEY);
+  const serverQuotes = getSetting(SERVER_QUOTES_KEY);
   
-  // Validate inputs
-  if (!text || !category) {
-    alert('Please fill in both the quote text and category!');
-    return;
+  // Update last sync time
+  const lastSyncElement = document.getElementById('lastSyncTime');
+  if (lastSyncTime) {
+    const date = new Date(lastSyncTime);
+    lastSyncElement.textContent = date.toLocaleString();
+  } else {
+    lastSyncElement.textContent = 'Never';
   }
   
-  // Check if this is a new category
-  const existingCategories = [...new Set(quotes.map(q => q.category))];
-  const isNewCategory = !existingCategories.includes(category);
-  
-  // Create new quote object
-  const newQuote = {
-    text: text,
-    category: category
-  };
+  // Update server quote count
+  const serverCountElement = document.getElementById('serverQuoteCount');
+  if (Array.isArray(serverQuotes)) {
+    serverCountElement.textContent = serverQuotes.length;
+  } else {
+    serverCountElement.textContent = '0';
+  }
   
-  // Add to quotes array
-  quotes.push(newQuote);
+  const protocol = getSetting(SYNC_PROTOCOL_KEY);
+  document.getElementById('syncProtocol').textContent =
+    protocol === 'crdt' ? 'Conflict-free (CRDT)' :
+    protocol === 'legacy' ? 'Three-way, conflicts reviewed' :
+    'Checked at next sync';
   
-  // Save to localStorage
-  saveQuotes();
+  // Show how many local changes are still waiting to be sent
+  const pendingElement = document.getElementById('pendingOperations');
+  pendingElement.textContent = outbox.length > 0 ? `(${outbox.length} pending)` : '';
   
-  // Clear input fields
-  quoteText.value = '';
-  quoteCategory.value = '';
+  document.getElementById('syncLeaderStatus').textContent = isSyncLeader
+    ? 'This tab sends changes and auto-syncs for all open tabs.'
+    : 'Another open tab sends changes and auto-syncs.';
   
-  // Update category filter - this will add the new category if it doesn't exist
-  if (isNewCategory) {
-    console.log('New category detected:', category);
+  // When the next automatic sync happens
+  const scheduleElement = document.getElementById('autoSyncSchedule');
+  if (!autoSyncEnabled) {
+    scheduleElement.textContent = 'Off';
+  } else if (autoSyncPausedBy) {
+    scheduleElement.textContent = `Paused while ${autoSyncPausedBy}`;
+  } else if (nextAutoSyncAt) {
+    const backoff = syncBackoffLevel > 0 ? ` (slowed down ${2 ** syncBackoffLevel}×)` : '';
+    scheduleElement.textContent = new Date(nextAutoSyncAt).toLocaleTimeString() + backoff;
+  } else {
+    scheduleElement.textContent = 'Syncing...';
   }
-  populateCategories();
-  
-  // Update statistics
-  updateStats();
-  
-  // Show success feedback
-  showNotification(isNewCategory ? 
-    `Quote added with new category "${category}"!` : 
-    'Quote added successfully!');
-  
-  // Set filter to the new quote's category and display it
-  lastQuoteIndex = -1;
-  document.getElementById('categoryFilter').value = category;
-  saveLastSelectedCategory(category);
-  showRandomQuote();
-  updateFilteredStats(category);
 }
 
+// ============================================
+// CRDT QUOTE SET
+// ============================================
+
 /**
- * Updates and displays statistics about the quote collection
+ * With servers that support it, the collection syncs as a CRDT: replicas
+ * merge in any order into the same result, so no edit needs a conflict
+ * prompt. The state is an observed-remove set of quotes with a
+ * last-writer-wins register per synced field:
+ *
+ *   {
+ *     quotes: {
+ *       [id]: {
+ *         adds: { [replica]: n },     // count of adds and edits per replica
+ *         removed: { [replica]: n },  // adds seen by deletes
+ *         createdAt,
+ *         fields: { [field]: { value, time, replica } }
+ *       }
+ *     }
+ *   }
+ *
+ * A quote exists while some replica has added it more often than deletes
+ * have seen. A delete removes only the adds it has seen, so an edit made at
+ * the same time as a delete keeps the quote. Counting per replica instead of
+ * tagging every add keeps the state the same size however often quotes are
+ * edited and deleted. Each register holds the value with the newest stamp;
+ * stamps never go below one already seen, so an edit made after a merge
+ * wins over everything that merge brought in.
  */
-function updateStats() {
-  const statsDiv = document.getElementById('stats');
-  const categoryCount = new Set(quotes.map(q => q.category)).size;
+
+/**
+ * Creates a CRDT state without quotes
+ */
+function createEmptyCrdtState() {
+  return { quotes: {} };
+}
+
+/**
+ * Returns this device's replica ID, stored on first use
+ * Open tabs share it; it decides between edits stamped at the same time
+ */
+function getCrdtReplicaId() {
+  let replicaId = getSetting(CRDT_REPLICA_KEY);
   
-  statsDiv.innerHTML = `
-    <strong>Total Quotes:</strong> ${quotes.length} | 
-    <strong>Categories:</strong> ${categoryCount}
-  `;
+  if (!replicaId) {
+    replicaId = generateQuoteId().replace(/^q-/, 'r-');
+    setSetting(CRDT_REPLICA_KEY, replicaId);
+  }
+  
+  return replicaId;
 }
 
 /**
- * Exports quotes to a JSON file
- * Uses Blob and URL.createObjectURL for file download
+ * Validates a CRDT state from a server or storage
+ * Malformed entries and registers are dropped. States that still tag every
+ * add convert to one add per quote, removed if all its tags were
+ * @param {Object} raw
+ * @returns {Object|null} Normalized state, or null if invalid
  */
-function exportToJsonFile() {
-  if (quotes.length === 0) {
-    alert('No quotes to export!');
-    return;
+function normalizeCrdtState(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.quotes || typeof raw.quotes !== 'object') {
+    return null;
   }
   
-  try {
-    // Convert quotes array to JSON string with formatting
-    const jsonString = JSON.stringify(quotes, null, 2);
-    
-    // Create a Blob from the JSON string
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    
-    // Create a download URL
-    const url = URL.createObjectURL(blob);
-    
-    // Create a temporary anchor element for download
-    const downloadLink = document.createElement('a');
-    downloadLink.href = url;
-    downloadLink.download = `quotes-backup-${new Date().toISOString().split('T')[0]}.json`;
+  const isRegister = register => register && typeof register === 'object' &&
+    Number.isFinite(register.time) && typeof register.replica === 'string';
+  const toCounts = value => {
+    const counts = {};
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([replica, count]) => {
+        if (Number.isInteger(count) && count > 0) {
+          counts[replica] = count;
+        }
+      });
+    }
+    return counts;
+  };
+  const legacyRemoved = new Set(Array.isArray(raw.removed) ? raw.removed : []);
+  
+  const state = createEmptyCrdtState();
+  
+  Object.entries(raw.quotes).forEach(([id, entry]) => {
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
     
-    // Trigger download
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
+    let adds = toCounts(entry.adds);
+    let removed = toCounts(entry.removed);
+    if (Array.isArray(entry.adds)) {
+      adds = entry.adds.length > 0 ? { legacy: 1 } : {};
+      removed = entry.adds.length > 0 && entry.adds.every(tag => legacyRemoved.has(tag)) ? { legacy: 1 } : {};
+    }
     
-    // Clean up
-    document.body.removeChild(downloadLink);
-    URL.revokeObjectURL(url);
+    const fields = {};
+    QUOTE_SYNC_FIELDS.forEach(field => {
+      const register = entry.fields && entry.fields[field];
+      if (isRegister(register)) {
+        fields[field] = { value: register.value ?? null, time: register.time, replica: register.replica };
+      }
+    });
     
-    showNotification('Quotes exported successfully!');
-    console.log('Exported', quotes.length, 'quotes');
-  } catch (error) {
-    console.error('Error exporting quotes:', error);
-    alert('Error exporting quotes. Please try again.');
-  }
+    state.quotes[id] = {
+      adds,
+      removed,
+      createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : 0,
+      fields
+    };
+  });
+  
+  // Merging sorts the state the same way every replica does
+  return mergeCrdtStates(state, createEmptyCrdtState());
 }
 
 /**
- * Imports quotes from a JSON file
- * Reads file content and updates the quotes array and categories
+ * Orders two registers: by time, then replica, then value, so every
+ * replica picks the same winner
+ * @returns {number} Positive if a wins
  */
-function importFromJsonFile(event) {
-  const file = event.target.files[0];
-  
-  if (!file) {
-    return;
+function compareCrdtRegisters(a, b) {
+  if (a.time !== b.time) {
+    return a.time - b.time;
   }
-  
-  // Validate file type
-  if (!file.name.endsWith('.json')) {
-    alert('Please select a valid JSON file!');
-    event.target.value = '';
-    return;
+  if (a.replica !== b.replica) {
+    return a.replica < b.replica ? -1 : 1;
   }
   
-  const fileReader = new FileReader();
+  const valueA = JSON.stringify(a.value);
+  const valueB = JSON.stringify(b.value);
+  return valueA === valueB ? 0 : (valueA < valueB ? -1 : 1);
+}
+
+/**
+ * Merges two CRDT states
+ * The merge is commutative, associative and idempotent: replicas that have
+ * seen the same changes hold the same state, in whatever order they merged.
+ * The result is sorted so equal states serialize the same
+ * @returns {Object} New state
+ */
+function mergeCrdtStates(a, b) {
+  const merged = createEmptyCrdtState();
+  const maxCounts = countsList => {
+    const counts = {};
+    [...new Set(countsList.flatMap(Object.keys))].sort().forEach(replica => {
+      counts[replica] = Math.max(...countsList.map(c => c[replica] || 0));
+    });
+    return counts;
+  };
+  const ids = [...new Set([...Object.keys(a.quotes), ...Object.keys(b.quotes)])].sort();
   
-  fileReader.onload = function(e) {
-    try {
-      const importedQuotes = JSON.parse(e.target.result);
-      
-      // Validate imported data
-      if (!Array.isArray(importedQuotes)) {
-        throw new Error('Invalid format: Expected an array of quotes');
-      }
-      
-      // Validate each quote object
-      const validQuotes = importedQuotes.filter(quote => {
-        return quote && 
-               typeof quote === 'object' && 
-               typeof quote.text === 'string' && 
-               typeof quote.category === 'string' &&
-               quote.text.trim() !== '' &&
-               quote.category.trim() !== '';
+  ids.forEach(id => {
+    const entries = [a.quotes[id], b.quotes[id]].filter(Boolean);
+    const fields = {};
+    
+    QUOTE_SYNC_FIELDS.forEach(field => {
+      entries.forEach(entry => {
+        const register = entry.fields[field];
+        if (register && (!fields[field] || compareCrdtRegisters(register, fields[field]) > 0)) {
+          fields[field] = register;
+        }
       });
+    });
+    
+    merged.quotes[id] = {
+      adds: maxCounts(entries.map(entry => entry.adds)),
+      removed: maxCounts(entries.map(entry => entry.removed)),
+      createdAt: Math.max(...entries.map(entry => entry.createdAt)),
+      fields
+    };
+  });
+  
+  return merged;
+}
+
+/**
+ * Checks whether a quote of a CRDT state exists: some replica added it more
+ * often than deletes have seen
+ */
+function isCrdtEntryLive(entry) {
+  return Object.entries(entry.adds).some(([replica, count]) => count > (entry.removed[replica] || 0));
+}
+
+/**
+ * Checks whether two merged CRDT states hold the same data
+ */
+function crdtStatesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lists the quotes of a CRDT state
+ * @param {Object} state
+ * @returns {Array} Quotes in the app's schema, by ID
+ */
+function materializeCrdtState(state) {
+  return Object.entries(state.quotes)
+    .filter(([, entry]) => isCrdtEntryLive(entry))
+    .map(([id, entry]) => {
+      const quote = { id, createdAt: entry.createdAt, updatedAt: 0 };
       
-      if (validQuotes.length === 0) {
-        throw new Error('No valid quotes found in the file');
-      }
-      
-      // Ask user whether to replace or merge quotes
-      const shouldReplace = confirm(
-        `Found ${validQuotes.length} valid quotes.\n\n` +
-        `Click OK to REPLACE existing quotes (${quotes.length} quotes will be lost).\n` +
-        `Click Cancel to MERGE with existing quotes.`
-      );
-      
-      if (shouldReplace) {
-        quotes = validQuotes;
-        showNotification(`Replaced with ${validQuotes.length} imported quotes!`);
-      } else {
-        // Merge quotes, avoiding duplicates
-        const existingQuotesSet = new Set(quotes.map(q => `${q.text}|${q.category}`));
-        let addedCount = 0;
-        
-        validQuotes.forEach(quote => {
-          const quoteKey = `${quote.text}|${quote.category}`;
-          if (!existingQuotesSet.has(quoteKey)) {
-            quotes.push(quote);
-            addedCount++;
-          }
-        });
-        
-        showNotification(`Added ${addedCount} new quotes! (${validQuotes.length - addedCount} duplicates skipped)`);
-      }
-      
-      // Save to localStorage
-      saveQuotes();
-      
-      // Update UI - repopulate categories in case new ones were added
-      populateCategories();
-      updateStats();
-      showRandomQuote();
-      
-      console.log('Import successful:', validQuotes.length, 'quotes processed');
+      Object.entries(entry.fields).forEach(([field, register]) => {
+        if (register.value !== null) {
+          quote[field] = register.value;
+        }
+        quote.updatedAt = Math.max(quote.updatedAt, register.time);
+      });
       
-    } catch (error) {
-      console.error('Error importing quotes:', error);
-      alert(`Error importing quotes: ${error.message}`);
+      return quote;
+    });
+}
+
+/**
+ * Records how a replica's quotes differ from a CRDT state as its changes
+ * Changed fields are stamped with the quote's updatedAt, raised above every
+ * stamp in the state if needed
+ * @param {Object} state - CRDT state
+ * @param {Array} quoteList - The replica's quotes
+ * @param {string} replica - Replica ID
+ * @returns {Object} New state, or the same state if nothing changed
+ */
+function recordQuotesInCrdt(state, quoteList, replica) {
+  let clock = 0;
+  Object.values(state.quotes).forEach(entry => {
+    Object.values(entry.fields).forEach(register => {
+      clock = Math.max(clock, register.time);
+    });
+  });
+  
+  const current = new Map(materializeCrdtState(state).map(q => [q.id, q]));
+  const changes = createEmptyCrdtState();
+  
+  quoteList.forEach(quote => {
+    const known = current.get(quote.id);
+    current.delete(quote.id);
+    
+    const changedFields = QUOTE_SYNC_FIELDS.filter(field =>
+      !known || !fieldValuesEqual(known[field], quote[field])
+    );
+    if (changedFields.length === 0) {
+      return;
     }
     
-    // Reset file input
-    event.target.value = '';
-  };
+    clock = Math.max(clock + 1, quote.updatedAt || 0);
+    const fields = {};
+    changedFields.forEach(field => {
+      fields[field] = { value: quote[field] ?? null, time: clock, replica };
+    });
+    
+    // Every edit counts as an add, so a delete made meanwhile elsewhere
+    // can't lose it
+    const entry = state.quotes[quote.id];
+    changes.quotes[quote.id] = {
+      adds: { [replica]: ((entry && entry.adds[replica]) || 0) + 1 },
+      removed: {},
+      createdAt: quote.createdAt || 0,
+      fields
+    };
+  });
   
-  fileReader.onerror = function() {
-    alert('Error reading file. Please try again.');
-    event.target.value = '';
-  };
+  // Quotes left over were deleted: remove every add seen so far
+  current.forEach((quote, id) => {
+    const entry = state.quotes[id];
+    changes.quotes[id] = { adds: {}, removed: { ...entry.adds }, createdAt: entry.createdAt, fields: {} };
+  });
   
-  fileReader.readAsText(file);
+  if (Object.keys(changes.quotes).length === 0) {
+    return state;
+  }
+  return mergeCrdtStates(state, changes);
 }
 
 /**
- * Shows a temporary notification message
- * Demonstrates creating and removing DOM elements dynamically
+ * Loads this device's CRDT state
  */
-function showNotification(message) {
-  // Create notification element
-  const notification = document.createElement('div');
-  notification.textContent = message;
-  notification.style.cssText = `
-    position: fixed;
-    top: 20px;
-    right: 20px;
-    background: #4CAF50;
-    color: white;
-    padding: 15px 25px;
-    border-radius: 8px;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-    z-index: 1000;
-    animation: slideIn 0.3s ease;
-    max-width: 300px;
-  `;
-  
-  document.body.appendChild(notification);
-  
-  // Remove notification after 3 seconds
-  setTimeout(() => {
-    notification.style.animation = 'slideOut 0.3s ease';
-    setTimeout(() => {
-      if (notification.parentNode) {
-        document.body.removeChild(notification);
-      }
-    }, 300);
-  }, 3000);
+function loadCrdtState() {
+  return normalizeCrdtState(getSetting(CRDT_STATE_KEY)) || createEmptyCrdtState();
 }
 
-// Add CSS animations dynamically
-const style = document.createElement('style');
-style.textContent = `
-  @keyframes slideIn {
-    from {
-      transform: translateX(400px);
-      opacity: 0;
-    }
-    to {
-      transform: translateX(0);
-      opacity: 1;
-    }
-  }
+/**
+ * Records local changes made since the last sync in the stored CRDT state
+ * @returns {Object} The updated state
+ */
+function recordLocalCrdtChanges() {
+  const stored = loadCrdtState();
+  const state = recordQuotesInCrdt(stored, quotes, getCrdtReplicaId());
   
-  @keyframes slideOut {
-    from {
-      transform: translateX(0);
-      opacity: 1;
-    }
-    to {
-      transform: translateX(400px);
-      opacity: 0;
-    }
+  if (state !== stored) {
+    setSetting(CRDT_STATE_KEY, state);
   }
-`;
-document.head.appendChild(style);
+  return state;
+}
 
-// ============================================
-// SERVER SYNCHRONIZATION FUNCTIONS
-// ============================================
+/**
+ * Lists the valid quotes of a CRDT state
+ */
+function crdtStateQuotes(state) {
+  return materializeCrdtState(state).map(normalizeServerQuote).filter(Boolean);
+}
 
 /**
- * Initializes the server synchronization system
- * Sets up auto-sync if enabled and updates UI
+ * Merges a CRDT state into this device's state and makes the local quotes
+ * match the result
+ * Local changes are recorded first, so none are lost. Local order and this
+ * device's view statistics are kept; new quotes are appended
+ * @param {Object} incomingState - State from the server
+ * @param {string} historyLabel - Name of the change in the undo history
+ * @returns {Promise<Object>} { state, changes: { added, updated, removed } }
  */
-function initializeSyncSystem() {
-  // Check if auto-sync was enabled in previous session
-  const autoSyncEnabled = localStorage.getItem(AUTO_SYNC_ENABLED_KEY) === 'true';
+async function applyCrdtState(incomingState, historyLabel = 'Sync merge') {
+  const state = mergeCrdtStates(recordLocalCrdtChanges(), incomingState);
+  setSetting(CRDT_STATE_KEY, state);
   
-  if (autoSyncEnabled) {
-    startAutoSync();
-    document.getElementById('toggleAutoSync').textContent = 'Disable Auto-Sync';
-    document.getElementById('toggleAutoSync').style.background = '#28a745';
+  const merged = new Map(crdtStateQuotes(state).map(q => [q.id, q]));
+  const changes = { added: 0, updated: 0, removed: 0 };
+  const result = [];
+  
+  quotes.forEach(local => {
+    const quote = merged.get(local.id);
+    merged.delete(local.id);
+    
+    if (!quote) {
+      changes.removed++;
+    } else if (quotesDiffer(local, quote)) {
+      changes.updated++;
+      result.push(copyViewStats(local, { ...quote, createdAt: local.createdAt }));
+    } else {
+      result.push(local);
+    }
+  });
+  
+  merged.forEach(quote => {
+    changes.added++;
+    result.push(quote);
+  });
+  
+  if (changes.added + changes.updated + changes.removed > 0) {
+    // Keep a copy if the server is about to change or remove local quotes
+    if (changes.updated + changes.removed > 0) {
+      await takeSnapshot('Before server sync');
+    }
+    
+    const before = snapshotQuotes();
+    await mergeQuotes(result, true);
+    recordHistory(historyLabel, before);
+    refreshAfterQuoteChange();
   }
   
-  // Update last sync time display
-  updateSyncStatusDisplay();
-  
-  console.log('Sync system initialized. Auto-sync:', autoSyncEnabled);
+  console.log('CRDT merge:', changes);
+  return { state, changes };
 }
 
 /**
- * Fetches quotes from the simulated server
- * Uses JSONPlaceholder API to simulate server data
+ * Fetches the server's CRDT state
+ * @param {Object} [logEntry] - Sync log entry that collects errors
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object|null>} { state }, where state is null if the
+ *   server only knows the quote list; null on failure or cancel
  */
-async function fetchQuotesFromServer() {
+async function fetchServerCrdtState(logEntry, signal) {
+  if (!syncAdapter.fetchCrdtState) {
+    return { state: null };
+  }
+  
   try {
     updateSyncStatus('Fetching from server...', 'info');
     
-    // Fetch data from JSONPlaceholder (simulating server)
-    const response = await fetch(SERVER_URL);
-    
-    if (!response.ok) {
-      throw new Error(`Server responded with status: ${response.status}`);
-    }
-    
-    const serverData = await response.json();
-    
-    // Transform server data to quote format
-    // Taking first 10 posts and converting them to quotes
-    const serverQuotes = serverData.slice(0, 10).map(post => ({
-      text: post.title,
-      category: post.userId % 2 === 0 ? 'Server' : 'Remote',
-      serverId: post.id,
-      serverTimestamp: Date.now()
-    }));
+    const result = await syncAdapter.fetchCrdtState({ signal });
+    setSetting(SYNC_PROTOCOL_KEY, result ? 'crdt' : 'legacy');
     
-    console.log('Fetched from server:', serverQuotes.length, 'quotes');
-    return serverQuotes;
+    return { state: result ? result.state : null };
     
   } catch (error) {
-    console.error('Error fetching from server:', error);
-    updateSyncStatus('Failed to fetch from server', 'error');
-    showNotification('Failed to sync with server: ' + error.message);
+    reportFetchError(error, logEntry);
     return null;
   }
 }
 
 /**
- * Posts local quotes to the simulated server
- * Simulates sending data to server for backup
+ * Syncs with a server that merges CRDT states
+ * The server's state is merged into the local one, and the server gets the
+ * result if it lacks anything
+ * @param {Object} serverState - State fetched from the server
+ * @param {Object} logEntry - The run's sync log entry
+ * @param {AbortSignal} [signal] - Cancels sending the merged state; what
+ *   was merged locally is kept and the outbox goes out next time
+ * @returns {Promise<Object>} { changes, sent }
+ */
+async function syncCrdtState(serverState, logEntry, signal) {
+  const pendingIds = new Set(outbox.map(op => op.opId));
+  const { state, changes } = await applyCrdtState(serverState);
+  let serverQuotes = crdtStateQuotes(serverState);
+  let sent = true;
+  
+  if (!crdtStatesEqual(state, serverState)) {
+    try {
+      const result = await syncAdapter.pushCrdtState(state, { signal });
+      serverQuotes = crdtStateQuotes(result.state);
+      
+      // Other clients may have pushed in the meantime
+      const after = await applyCrdtState(result.state);
+      changes.added += after.changes.added;
+      changes.updated += after.changes.updated;
+      changes.removed += after.changes.removed;
+      
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Sending changes cancelled');
+      } else {
+        console.error('Error sending changes to server:', error);
+        logEntry.errors.push(error.message);
+      }
+      sent = false;
+    }
+  }
+  
+  // The queued operations went out with the state
+  if (sent) {
+    replaceOutbox(outbox.filter(op => !pendingIds.has(op.opId)));
+  }
+  
+  setSetting(SERVER_QUOTES_KEY, serverQuotes);
+  setSetting(LAST_SYNC_TIME_KEY, new Date().toISOString());
+  updateSyncStatusDisplay();
+  
+  return { changes, sent };
+}
+
+/**
+ * Sends local changes to a server that merges CRDT states, instead of the
+ * queued operations, and applies what the server sends back
+ * @returns {Promise<boolean>} True if the changes were sent
  */
-async function postQuotesToServer(quotesToPost) {
+async function sendCrdtState() {
+  const logEntry = startSyncLogEntry('push');
+  const pending = [...outbox];
+  const count = type => pending.filter(op => op.type === type).length;
+  const logCounts = { added: count('add'), updated: count('update'), removed: count('delete') };
+  
   try {
-    updateSyncStatus('Posting to server...', 'info');
+    const result = await syncAdapter.pushCrdtState(recordLocalCrdtChanges());
     
-    // Simulate posting to server
-    const response = await fetch(SERVER_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        quotes: quotesToPost,
-        timestamp: Date.now()
-      })
-    });
+    outboxRetryAttempt = 0;
+    outbox = outbox.filter(op => !pending.some(sentOp => sentOp.opId === op.opId));
+    saveOutbox();
     
-    if (!response.ok) {
-      throw new Error(`Server responded with status: ${response.status}`);
+    await applyCrdtState(result.state);
+    if (getSetting(LAST_SYNC_TIME_KEY)) {
+      setSetting(SERVER_QUOTES_KEY, crdtStateQuotes(result.state));
     }
     
-    const result = await response.json();
-    console.log('Posted to server successfully:', result);
+    console.log('Sent CRDT state with', pending.length, 'queued changes');
+    finishSyncLogEntry(logEntry, 'success', logCounts);
+    updateSyncStatusDisplay();
     return true;
     
   } catch (error) {
-    console.error('Error posting to server:', error);
+    console.error('Error sending changes to server:', error);
+    logEntry.errors.push(error.message);
+    scheduleOutboxRetry();
+    finishSyncLogEntry(logEntry, 'error', logCounts);
     return false;
   }
 }
 
+// ============================================
+// SYNC LOG
+// ============================================
+
 /**
- * Main synchronization function
- * Fetches server data, detects conflicts, and syncs
+ * Starts timing a sync run
+ * @param {string} direction - 'pull' (fetch and merge) or 'push' (send changes)
+ * @returns {Object} Entry to pass to finishSyncLogEntry()
  */
-async function syncWithServer() {
-  console.log('Starting sync with server...');
-  updateSyncStatus('Syncing...', 'info');
-  
-  // Fetch quotes from server
-  const serverQuotes = await fetchQuotesFromServer();
+function startSyncLogEntry(direction) {
+  return {
+    id: generateQuoteId(),
+    startedAt: Date.now(),
+    direction,
+    // The adapter may be swapped by a settings change while the run is going
+    adapter: syncAdapter,
+    errors: []
+  };
+}
+
+/**
+ * Completes a sync run and adds it to the stored log
+ * @param {Object} entry - From startSyncLogEntry()
+ * @param {string} outcome - 'success', 'partial', 'conflicts', 'error',
+ *   'cancelled' or 'skipped'
+ * @param {Object} [details] - { added, updated, removed, error }
+ * @returns {Object} The stored record
+ */
+function finishSyncLogEntry(entry, outcome, details = {}) {
+  const { added = 0, updated = 0, removed = 0, error } = details;
   
-  if (!serverQuotes) {
-    return; // Error already handled in fetch function
-  }
+  const record = {
+    id: entry.id,
+    timestamp: new Date(entry.startedAt).toISOString(),
+    direction: entry.direction,
+    adapter: entry.adapter ? entry.adapter.name : null,
+    durationMs: Date.now() - entry.startedAt,
+    // Skipped and cancelled runs got no response from the server
+    httpStatus: outcome === 'skipped' || outcome === 'cancelled'
+      ? null
+      : (entry.adapter?.lastStatus ?? null),
+    outcome,
+    added,
+    updated,
+    removed,
+    errors: error ? [...entry.errors, error] : entry.errors
+  };
   
-  // Get current local quotes
-  const localQuotes = [...quotes];
+  setSetting(SYNC_LOG_KEY, [...getSyncLog(), record].slice(-SYNC_LOG_LIMIT));
+  renderSyncLog();
+  console.log('Sync log:', record.direction, record.outcome, `${record.durationMs}ms`);
+  return record;
+}
+
+/**
+ * Returns the stored sync runs, oldest first
+ */
+function getSyncLog() {
+  const log = getSetting(SYNC_LOG_KEY, []);
+  return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Renders the sync log in the diagnostics panel, newest run first
+ */
+function renderSyncLog() {
+  const body = document.getElementById('syncLogBody');
+  const log = getSyncLog();
+  const failed = log.filter(record => record.outcome === 'error').length;
   
-  // Save server quotes to compare later
-  localStorage.setItem(SERVER_QUOTES_KEY, JSON.stringify(serverQuotes));
+  document.getElementById('syncLogSummary').textContent = log.length === 0
+    ? 'No sync runs recorded yet.'
+    : `${log.length} runs recorded (last ${SYNC_LOG_LIMIT} are kept), ${failed} failed.`;
+  document.getElementById('exportSyncLog').disabled = log.length === 0;
+  document.getElementById('clearSyncLog').disabled = log.length === 0;
   
-  // Detect conflicts
-  const conflicts = detectConflicts(localQuotes, serverQuotes);
+  body.innerHTML = '';
   
-  if (conflicts.hasConflicts) {
-    // Show conflict notification
-    showConflictNotification(conflicts);
-    updateSyncStatus('Conflicts detected', 'warning');
-  } else {
-    // No conflicts, merge data (server takes precedence)
-    mergeQuotes(serverQuotes);
+  [...log].reverse().forEach(record => {
+    const row = document.createElement('tr');
+    row.className = `sync-log-${record.outcome}`;
     
-    // Post local quotes to server
-    await postQuotesToServer(quotes);
-    
-    // Update last sync time
-    const now = new Date().toISOString();
-    localStorage.setItem(LAST_SYNC_TIME_KEY, now);
-    
-    updateSyncStatus('Synced successfully', 'success');
-    updateSyncStatusDisplay();
-    showNotification('Successfully synced with server!');
+    [
+      new Date(record.timestamp).toLocaleString(),
+      record.direction,
+      `${record.durationMs} ms`,
+      record.httpStatus ?? '–',
+      `+${record.added} ~${record.updated} −${record.removed}`,
+      [record.outcome, ...record.errors].join(': ')
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
     
-    // Update UI
-    populateCategories();
-    updateStats();
-    showRandomQuote();
-  }
-  
-  console.log('Sync completed');
+    body.appendChild(row);
+  });
 }
 
 /**
- * Detects conflicts between local and server data
- * Returns conflict information
+ * Downloads the sync log as JSON for attaching to bug reports
  */
-function detectConflicts(localQuotes, serverQuotes) {
-  const lastSyncTime = localStorage.getItem(LAST_SYNC_TIME_KEY);
-  const previousServerQuotes = localStorage.getItem(SERVER_QUOTES_KEY);
+function exportSyncLog() {
+  const report = {
+    exportedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    online: navigator.onLine,
+    syncConfig: { adapter: syncConfig.adapter, endpoint: syncConfig.endpoint },
+    pendingOperations: outbox.length,
+    lastSyncTime: getSetting(LAST_SYNC_TIME_KEY),
+    runs: getSyncLog()
+  };
   
-  // If this is the first sync, no conflicts
-  if (!lastSyncTime || !previousServerQuotes) {
-    return { hasConflicts: false };
+  const date = new Date().toISOString().split('T')[0];
+  downloadFile(JSON.stringify(report, null, 2), 'application/json', `sync-log-${date}.json`);
+  console.log('Exported sync log:', report.runs.length, 'runs');
+}
+
+/**
+ * Empties the sync log
+ */
+function clearSyncLog() {
+  if (!confirm('Clear the sync log?')) {
+    return;
   }
   
-  const prevServerQuotes = JSON.parse(previousServerQuotes);
-  
-  // Check if local quotes were modified since last sync
-  const localModified = localQuotes.length !== prevServerQuotes.length;
+  setSetting(SYNC_LOG_KEY, []);
+  renderSyncLog();
+}
+
+// ============================================
+// OFFLINE OUTBOX
+// ============================================
+
+/**
+ * Loads queued operations from storage
+ * @returns {Array} Pending operations
+ */
+function loadOutbox() {
+  return [...getSetting(OUTBOX_KEY, [])];
+}
+
+/**
+ * Persists the outbox and refreshes the pending count
+ * Other tabs are sent only the operations that were added, changed or
+ * removed, and merge them into their own outbox by opId, so operations
+ * queued in two tabs at once are both kept
+ */
+function saveOutbox() {
+  const saved = new Map(getSetting(OUTBOX_KEY, []).map(op => [op.opId, op]));
+  const current = new Set(outbox.map(op => op.opId));
+  const put = outbox.filter(op => JSON.stringify(op) !== JSON.stringify(saved.get(op.opId)));
+  const removed = [...saved.keys()].filter(opId => !current.has(opId));
   
-  // Check if server quotes changed
-  const serverModified = JSON.stringify(serverQuotes) !== JSON.stringify(prevServerQuotes);
+  persistOutbox();
+  if (put.length > 0 || removed.length > 0) {
+    broadcastTabMessage({ type: 'outbox-changed', put, removed });
+  }
+  updateSyncStatusDisplay();
+}
+
+/**
+ * Writes the outbox to storage without telling other tabs
+ * Operations are copied so later in-place changes show up as changes
+ */
+function persistOutbox() {
+  const stored = outbox.map(op => ({ ...op }));
   
-  // Conflict exists if both were modified
-  if (localModified && serverModified) {
-    return {
-      hasConflicts: true,
-      localCount: localQuotes.length,
-      serverCount: serverQuotes.length,
-      prevServerCount: prevServerQuotes.length,
-      localQuotes: localQuotes,
-      serverQuotes: serverQuotes
-    };
+  if (!db) {
+    settingsCache.set(OUTBOX_KEY, stored);
+    saveSettingsToLocalStorage();
+    return;
   }
   
-  return { hasConflicts: false };
+  writeSetting(OUTBOX_KEY, stored).catch(handleStorageError);
 }
 
 /**
- * Shows conflict notification to user
- * Provides options to resolve conflict
+ * Merges operations another tab queued, changed or removed into the outbox
+ * The merged outbox is stored again, so whichever tab writes last stores
+ * every tab's operations
+ * @param {Object} message - { put, removed }
  */
-function showConflictNotification(conflicts) {
-  pendingConflicts = conflicts;
-  
-  const notification = document.getElementById('conflictNotification');
-  const message = document.getElementById('conflictMessage');
+function applyOutboxFromOtherTab({ put = [], removed = [] }) {
+  const removedIds = new Set(removed);
+  const incoming = new Map(put.map(op => [op.opId, op]));
   
-  message.textContent = `
-    Local data has ${conflicts.localCount} quotes, 
-    but server has ${conflicts.serverCount} quotes. 
-    Both were modified since last sync.
-  `;
+  outbox = outbox
+    .filter(op => !removedIds.has(op.opId) || op.opId === outboxInFlightOpId)
+    .map(op => incoming.get(op.opId) || op);
   
-  notification.style.display = 'block';
+  const known = new Set(outbox.map(op => op.opId));
+  put.filter(op => !known.has(op.opId)).forEach(op => outbox.push(op));
+  outbox.sort((a, b) => a.createdAt - b.createdAt);
   
-  // Scroll to notification
-  notification.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  persistOutbox();
+  updateSyncStatusDisplay();
+  scheduleOutboxFlush(0);
+  if (isSyncLeader) {
+    requestSyncSoon();
+  }
 }
 
 /**
- * Resolves conflicts based on user choice
- * @param {boolean} useServerVersion - True to use server data, false to keep local
+ * Records a local change in the outbox and tries to send it
+ * Consecutive changes to the same quote are coalesced into one operation
+ * @param {string} type - 'add', 'update' or 'delete'
+ * @param {Object} quote - The affected quote
  */
-function resolveConflict(useServerVersion) {
-  if (!pendingConflicts) {
+function enqueueOperation(type, quote) {
+  enqueueOperations([{ type, quote }]);
+}
+
+/**
+ * Records several local changes in the outbox at once
+ * Bulk changes such as imports use this, so the outbox is saved, sent to
+ * other tabs and flushed once instead of after every quote
+ * @param {Array} changes - { type, quote } in the order they were made
+ */
+function enqueueOperations(changes) {
+  if (changes.length === 0) {
     return;
   }
   
-  if (useServerVersion) {
-    // Accept server version
-    mergeQuotes(pendingConflicts.serverQuotes, true);
-    showNotification('Accepted server version. Local changes overwritten.');
-    console.log('Conflict resolved: Server version accepted');
-  } else {
-    // Keep local version
-    showNotification('Kept local version. Server not updated.');
-    console.log('Conflict resolved: Local version kept');
+  // Queued operation per quote, except one being sent right now
+  const pending = new Map();
+  outbox.forEach(op => {
+    if (op.opId !== outboxInFlightOpId) {
+      pending.set(op.quoteId, op);
+    }
+  });
+  const dropped = new Set();
+  
+  changes.forEach(({ type, quote }) => {
+    const existing = pending.get(quote.id);
+    const operation = {
+      opId: generateQuoteId(),
+      type,
+      quoteId: quote.id,
+      quote: type === 'delete' ? null : { ...quote },
+      createdAt: Date.now()
+    };
+    
+    if (!existing) {
+      outbox.push(operation);
+      pending.set(quote.id, operation);
+    } else if (type === 'delete' && existing.type === 'add') {
+      // The server never saw this quote, so nothing needs to be sent
+      dropped.add(existing);
+      pending.delete(quote.id);
+    } else if (type === 'delete') {
+      Object.assign(existing, operation);
+    } else if (existing.type === 'delete') {
+      // Restored before the delete went out; the server still has the quote
+      Object.assign(existing, operation, { type: 'update' });
+    } else {
+      // An unsent add stays an add, just with the newer content
+      existing.quote = operation.quote;
+    }
+  });
+  
+  if (dropped.size > 0) {
+    outbox = outbox.filter(op => !dropped.has(op));
   }
   
-  // Update last sync time
-  const now = new Date().toISOString();
-  localStorage.setItem(LAST_SYNC_TIME_KEY, now);
+  saveOutbox();
+  if (changes.length === 1) {
+    console.log('Queued', changes[0].type, 'operation for quote', changes[0].quote.id, '- pending:', outbox.length);
+  } else {
+    console.log('Queued', changes.length, 'operations - pending:', outbox.length);
+  }
   
-  // Save current server quotes
-  localStorage.setItem(SERVER_QUOTES_KEY, JSON.stringify(pendingConflicts.serverQuotes));
+  scheduleOutboxFlush(0);
+  requestSyncSoon();
+}
+
+/**
+ * Replaces the outbox with a fresh list of operations
+ * Keeps the retry count of operations that are still pending
+ * @param {Array} operations - New operations
+ */
+function replaceOutbox(operations) {
+  const previous = new Map(outbox.map(op => [`${op.type}|${op.quoteId}`, op]));
   
-  // Hide notification
-  document.getElementById('conflictNotification').style.display = 'none';
-  pendingConflicts = null;
+  outbox = operations.map(op => {
+    const existing = previous.get(`${op.type}|${op.quoteId}`);
+    return existing ? { ...op, opId: existing.opId, createdAt: existing.createdAt } : op;
+  });
   
-  // Update UI
-  updateSyncStatus('Conflict resolved', 'success');
-  updateSyncStatusDisplay();
-  populateCategories();
-  updateStats();
-  showRandomQuote();
+  saveOutbox();
 }
 
 /**
- * Merges server quotes with local quotes
- * Server data takes precedence by default
+ * Computes the operations that turn one quote list into another
+ * @param {Array} fromQuotes - Current server state
+ * @param {Array} toQuotes - Desired state
+ * @returns {Array} Add, update and delete operations
  */
-function mergeQuotes(serverQuotes, replaceAll = false) {
-  if (replaceAll) {
-    // Complete replacement
-    quotes = [...serverQuotes];
-  } else {
-    // Smart merge: Add server quotes that don't exist locally
-    const localQuoteKeys = new Set(
-      quotes.map(q => `${q.text}|${q.category}`)
-    );
-    
-    serverQuotes.forEach(serverQuote => {
-      const key = `${serverQuote.text}|${serverQuote.category}`;
-      if (!localQuoteKeys.has(key)) {
-        quotes.push(serverQuote);
-      }
-    });
-  }
+function diffOperations(fromQuotes, toQuotes) {
+  const from = new Map(fromQuotes.map(q => [q.id, q]));
+  const toIds = new Set(toQuotes.map(q => q.id));
+  const now = Date.now();
+  const operations = [];
+  const makeOp = (type, quoteId, quote) => ({
+    opId: generateQuoteId(),
+    type,
+    quoteId,
+    quote: quote ? { ...quote } : null,
+    createdAt: now
+  });
   
-  // Save merged quotes
-  saveQuotes();
-  console.log('Quotes merged. Total:', quotes.length);
+  toQuotes.forEach(quote => {
+    if (!from.has(quote.id)) {
+      operations.push(makeOp('add', quote.id, quote));
+    } else if (quotesDiffer(from.get(quote.id), quote)) {
+      operations.push(makeOp('update', quote.id, quote));
+    }
+  });
+  
+  fromQuotes.forEach(quote => {
+    if (!toIds.has(quote.id)) {
+      operations.push(makeOp('delete', quote.id, null));
+    }
+  });
+  
+  return operations;
 }
 
 /**
- * Toggles automatic synchronization
+ * Applies an operation to a quote list without mutating it
+ * Used to keep the stored server snapshot in step with sent operations
  */
-function toggleAutoSync() {
-  const button = document.getElementById('toggleAutoSync');
-  const isEnabled = autoSyncInterval !== null;
+function applyOperationToQuotes(quoteList, op) {
+  const result = quoteList.filter(q => q.id !== op.quoteId);
   
-  if (isEnabled) {
-    stopAutoSync();
-    button.textContent = 'Enable Auto-Sync';
-    button.style.background = '#6c757d';
-    showNotification('Auto-sync disabled');
-  } else {
-    startAutoSync();
-    button.textContent = 'Disable Auto-Sync';
-    button.style.background = '#28a745';
-    showNotification('Auto-sync enabled (every 30 seconds)');
+  if (op.type !== 'delete') {
+    const index = quoteList.findIndex(q => q.id === op.quoteId);
+    result.splice(index === -1 ? result.length : index, 0, op.quote);
   }
+  
+  return result;
 }
 
 /**
- * Starts automatic synchronization
+ * Schedules an outbox flush after a delay
+ * @param {number} delay - Delay in ms
  */
-function startAutoSync() {
-  if (autoSyncInterval) {
-    return; // Already running
+function scheduleOutboxFlush(delay) {
+  // The sync leader sends the queued changes of every tab
+  if (!isSyncLeader) {
+    return;
   }
   
-  // Sync immediately
-  syncWithServer();
-  
-  // Set up periodic sync
-  autoSyncInterval = setInterval(() => {
-    console.log('Auto-sync triggered');
-    syncWithServer();
-  }, SYNC_INTERVAL);
-  
-  // Save preference
-  localStorage.setItem(AUTO_SYNC_ENABLED_KEY, 'true');
-  
-  console.log('Auto-sync started (interval:', SYNC_INTERVAL, 'ms)');
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = setTimeout(() => {
+    outboxRetryTimer = null;
+    flushOutbox();
+  }, delay);
 }
 
 /**
- * Stops automatic synchronization
+ * Sends queued operations to the server one at a time, oldest first
+ * Stops at the first failure and retries later with exponential backoff
+ * @returns {Promise<boolean>} True if the outbox is empty afterwards
  */
-function stopAutoSync() {
-  if (autoSyncInterval) {
-    clearInterval(autoSyncInterval);
-    autoSyncInterval = null;
-    
-    // Save preference
-    localStorage.setItem(AUTO_SYNC_ENABLED_KEY, 'false');
-    
-    console.log('Auto-sync stopped');
+function flushOutbox() {
+  if (!outboxFlushPromise) {
+    outboxFlushPromise = sendOutbox().finally(() => {
+      outboxFlushPromise = null;
+    });
   }
+  return outboxFlushPromise;
 }
 
 /**
- * Updates the sync status display
- * @param {string} message - Status message
- * @param {string} type - 'info', 'success', 'warning', 'error'
+ * Does the work for flushOutbox()
  */
-function updateSyncStatus(message, type = 'info') {
-  const statusText = document.getElementById('syncStatusText');
-  statusText.textContent = message;
+async function sendOutbox() {
+  if (outbox.length === 0) {
+    return true;
+  }
   
-  // Color coding
-  const colors = {
-    info: '#007bff',
-    success: '#28a745',
-    warning: '#ffc107',
-    error: '#dc3545'
-  };
+  if (!navigator.onLine) {
+    console.log('Offline - outbox flush postponed');
+    return false;
+  }
   
-  statusText.style.color = colors[type] || colors.info;
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = null;
+  
+  // Servers that merge CRDT states get the whole state instead
+  if (getSetting(SYNC_PROTOCOL_KEY) === 'crdt') {
+    return sendCrdtState();
+  }
+  
+  const logEntry = startSyncLogEntry('push');
+  const sentCounts = { add: 0, update: 0, delete: 0 };
+  const logCounts = () => ({ added: sentCounts.add, updated: sentCounts.update, removed: sentCounts.delete });
+  
+  while (outbox.length > 0) {
+    const op = outbox[0];
+    outboxInFlightOpId = op.opId;
+    
+    try {
+      await syncAdapter.applyOperation(op);
+      
+      outbox = outbox.filter(o => o.opId !== op.opId);
+      outboxRetryAttempt = 0;
+      sentCounts[op.type]++;
+      saveOutbox();
+      
+      // Keep the sync base in step with what the server now holds. The
+      // cursor is left alone: only a fetch may advance it, or changes other
+      // clients made since the last fetch would be skipped
+      if (getSetting(LAST_SYNC_TIME_KEY)) {
+        setSetting(SERVER_QUOTES_KEY, applyOperationToQuotes(loadServerSnapshot(), op));
+      }
+      
+      console.log('Sent', op.type, 'operation for quote', op.quoteId);
+      
+    } catch (error) {
+      console.error('Error sending operation to server:', error);
+      logEntry.errors.push(`${op.type} ${op.quoteId}: ${error.message}`);
+      
+      // Client errors will fail the same way again - drop the operation
+      if (error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429) {
+        outbox = outbox.filter(o => o.opId !== op.opId);
+        saveOutbox();
+        showNotification(`Server rejected a change: ${error.message}`);
+        continue;
+      }
+      
+      scheduleOutboxRetry();
+      finishSyncLogEntry(logEntry, 'error', logCounts());
+      return false;
+      
+    } finally {
+      outboxInFlightOpId = null;
+    }
+  }
+  
+  // Rejected changes were dropped, so the run only partly succeeded
+  finishSyncLogEntry(logEntry, logEntry.errors.length > 0 ? 'partial' : 'success', logCounts());
+  updateSyncStatusDisplay();
+  return true;
 }
 
 /**
- * Updates the sync status display with time and count
+ * Tries sending the outbox again later, waiting longer after each failure
  */
-function updateSyncStatusDisplay() {
-  const lastSyncTime = localStorage.getItem(LAST_SYNC_TIME_KEY);
-  const serverQuotes = localStorage.getItem(SERVER_QUOTES_KEY);
-  
-  // Update last sync time
-  const lastSyncElement = document.getElementById('lastSyncTime');
-  if (lastSyncTime) {
-    const date = new Date(lastSyncTime);
-    lastSyncElement.textContent = date.toLocaleString();
-  } else {
-    lastSyncElement.textContent = 'Never';
-  }
+function scheduleOutboxRetry() {
+  outboxRetryAttempt++;
+  const delay = Math.min(
+    OUTBOX_MAX_RETRY_DELAY,
+    OUTBOX_BASE_RETRY_DELAY * 2 ** (outboxRetryAttempt - 1)
+  ) * (0.8 + Math.random() * 0.4);
   
-  // Update server quote count
-  const serverCountElement = document.getElementById('serverQuoteCount');
-  if (serverQuotes) {
-    const count = JSON.parse(serverQuotes).length;
-    serverCountElement.textContent = count;
-  } else {
-    serverCountElement.textContent = '0';
+  updateSyncStatus(`Server unreachable - retrying in ${Math.round(delay / 1000)}s`, 'error');
+  scheduleOutboxFlush(delay);
+}
+
+/**
+ * Sends queued changes as soon as the connection comes back
+ */
+function handleOnline() {
+  console.log('Connection restored');
+  outboxRetryAttempt = 0;
+  updateSyncStatus('Back online', 'success');
+  if (isSyncLeader) {
+    flushOutbox();
   }
+  resumeAutoSync();
+}
+
+/**
+ * Stops retrying while the browser is offline
+ */
+function handleOffline() {
+  console.log('Connection lost');
+  clearTimeout(outboxRetryTimer);
+  outboxRetryTimer = null;
+  updateSyncStatus('Offline - changes will be sent when back online', 'warning');
 }
 
 // Initialize the application when DOM is fully loaded